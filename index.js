@@ -6,13 +6,2144 @@ import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import express from 'express';
+import YAML from 'yaml';
 import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import nodePath from 'path';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tools that change state upstream; read-scoped tokens may not call these
+const MUTATING_TOOLS = new Set([
+  "start_vps",
+  "stop_vps",
+  "restart_vps",
+  "create_dns_record",
+  "update_dns_record",
+  "delete_dns_record",
+  "create_email_account",
+  "delete_email_account",
+  "create_ssl_certificate",
+  "create_backup",
+  "restore_backup",
+  "import_dns_zone",
+  "apply_dns_plan",
+  "configure_email_dns",
+]);
+
+// Tools that support dry_run previews and, when HOSTINGER_REQUIRE_CONFIRMATION
+// is on, refuse to run without a confirm token issued by a dry run
+const DESTRUCTIVE_TOOLS = new Set([
+  "stop_vps",
+  "restart_vps",
+  "update_dns_record",
+  "delete_dns_record",
+  "delete_email_account",
+  "restore_backup",
+  "apply_dns_plan",
+  "configure_email_dns",
+]);
+
+// Tools that span or describe every account profile and so take no account argument
+const CROSS_ACCOUNT_TOOLS = new Set([
+  "get_audit_log",
+  "list_accounts",
+  "list_all_vps",
+  "list_all_domains",
+  "list_all_hosting_accounts",
+  "batch",
+  "list_alerts",
+]);
+
+const AUTH_SCOPES = ["read", "full"];
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+// Tagged template for API paths: every interpolated value is URL-encoded as a single segment
+function path(strings, ...values) {
+  return strings.reduce((result, string, i) =>
+    result + string + (i < values.length ? encodeURIComponent(String(values[i])) : ""), "");
+}
+
+function withQuery(endpoint, params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, String(value));
+    }
+  }
+  const queryString = query.toString();
+  return queryString ? `${endpoint}?${queryString}` : endpoint;
+}
+
+const JSON_SCHEMA_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+};
+
+// Checks tool arguments against a tool's inputSchema and returns one message per problem
+function validateArguments(schema, args) {
+  if (!JSON_SCHEMA_TYPES.object(args)) {
+    return ["arguments must be an object"];
+  }
+
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const field of schema.required || []) {
+    if (args[field] === undefined || args[field] === null || args[field] === "") {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(args)) {
+    const property = properties[field];
+    if (!property) {
+      errors.push(`${field} is not a recognized argument`);
+      continue;
+    }
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const checkType = JSON_SCHEMA_TYPES[property.type];
+    const checkItemType = property.items && JSON_SCHEMA_TYPES[property.items.type];
+    if (checkType && !checkType(value)) {
+      errors.push(`${field} must be of type ${property.type}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${property.enum.join(", ")}`);
+    } else if (checkItemType && !value.every(checkItemType)) {
+      errors.push(`${field} must only contain values of type ${property.items.type}`);
+    }
+  }
+
+  return errors;
+}
+
+function toList(result) {
+  return Array.isArray(result) ? result : result.data || [];
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
+
+// Resolves after ms, or rejects as soon as the optional AbortSignal fires
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt, baseMs, maxMs) {
+  return Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+}
+
+function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = new Date(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Profiles come from the JSON file named by HOSTINGER_PROFILES_FILE:
+// { "default": "name", "profiles": { "name": { "apiKey" | "apiKeyEnv", "baseUrl" } } }
+// Without it, HOSTINGER_API_KEY and HOSTINGER_BASE_URL form a single "default" profile.
+function loadProfiles() {
+  const defaultBaseUrl = process.env.HOSTINGER_BASE_URL || "https://api.hostinger.com";
+  let config;
+
+  if (process.env.HOSTINGER_PROFILES_FILE) {
+    config = JSON.parse(fs.readFileSync(process.env.HOSTINGER_PROFILES_FILE, "utf8"));
+  } else {
+    if (!process.env.HOSTINGER_API_KEY) {
+      throw new Error("HOSTINGER_API_KEY environment variable is required");
+    }
+    config = { default: "default", profiles: { default: { apiKey: process.env.HOSTINGER_API_KEY } } };
+  }
+
+  const profiles = new Map();
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    const apiKey = profile.apiKey || process.env[profile.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`Profile "${name}" has no API key (set apiKey or apiKeyEnv)`);
+    }
+    profiles.set(name, {
+      name,
+      apiKey,
+      baseUrl: profile.baseUrl || defaultBaseUrl,
+      circuit: { failures: 0, openedAt: 0 },
+    });
+  }
+
+  if (profiles.size === 0) {
+    throw new Error("No Hostinger account profiles configured");
+  }
+  const defaultName = config.default || profiles.keys().next().value;
+  if (!profiles.has(defaultName)) {
+    throw new Error(`Default profile "${defaultName}" is not defined`);
+  }
+
+  return { profiles, defaultName };
+}
+
+const SECRET_FIELD_PATTERN = /password|secret|token|api_?key|confirm/i;
+
+function redactArguments(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SECRET_FIELD_PATTERN.test(key) ? "[redacted]" : redactArguments(item)]
+    ));
+  }
+  return value;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest();
+}
+
+// Tokens come from MCP_AUTH_TOKENS ("name:token[:scope],...") and/or the
+// JSON file named by MCP_AUTH_CONFIG ({ "tokens": [{ name, token, scope }] })
+function loadAuthTokens() {
+  const entries = [];
+
+  if (process.env.MCP_AUTH_TOKENS) {
+    for (const item of process.env.MCP_AUTH_TOKENS.split(",")) {
+      if (!item.trim()) {
+        continue;
+      }
+      const [name, token, scope] = item.trim().split(":");
+      entries.push({ name, token, scope });
+    }
+  }
+
+  if (process.env.MCP_AUTH_CONFIG) {
+    const config = JSON.parse(fs.readFileSync(process.env.MCP_AUTH_CONFIG, "utf8"));
+    entries.push(...(config.tokens || []));
+  }
+
+  return entries.map(({ name, token, scope = "full" }) => {
+    if (!name || !token) {
+      throw new Error("Every auth token needs a name and a token value");
+    }
+    if (!AUTH_SCOPES.includes(scope)) {
+      throw new Error(`Auth token "${name}" has unknown scope "${scope}" (expected one of: ${AUTH_SCOPES.join(", ")})`);
+    }
+    return { name, scope, hash: hashToken(token) };
+  });
+}
+
+// Resource types that can be restricted, with their env variable and the tool
+// arguments that name a resource of that type
+const POLICY_RESOURCES = {
+  vps: { env: "HOSTINGER_ALLOWED_VPS_IDS", label: "VPS", noun: "VPS", arguments: ["vps_id"] },
+  domains: { env: "HOSTINGER_ALLOWED_DOMAIN_IDS", label: "Domain", noun: "domain", arguments: ["domain_id"] },
+  hosting: { env: "HOSTINGER_ALLOWED_HOSTING_IDS", label: "Hosting account", noun: "hosting account", arguments: ["account_id"] },
+};
+
+// Names a resource can be given by instead of its ID, see resolveResource
+const RESOURCE_NAMES = {
+  vps: (vps) => [vps.hostname, vps.name, ...[vps.ipv4 ?? vps.ip_address ?? vps.ip, vps.ipv6].flat().map((ip) => ip?.address ?? ip)],
+  domains: (domain) => [domain.domain, domain.name],
+  hosting: (account) => [account.domain, account.primary_domain, account.name],
+};
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/\.$/, "");
+}
+
+// Glob with * and ? wildcards, matched against the whole string
+function globToRegExp(pattern) {
+  const source = String(pattern).split("").map((char) => {
+    if (char === "*") {
+      return ".*";
+    }
+    if (char === "?") {
+      return ".";
+    }
+    return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }).join("");
+  return new RegExp(`^${source}$`);
+}
+
+function readListEnv(name) {
+  const value = process.env[name];
+  return value ? value.split(",").map((item) => item.trim()).filter(Boolean) : undefined;
+}
+
+// Access policy from HOSTINGER_POLICY_FILE (JSON or YAML):
+// { read_only, allow_tools: [glob], deny_tools: [glob], resources: { vps | domains | hosting: [id glob] } }
+// HOSTINGER_READ_ONLY, HOSTINGER_TOOL_ALLOWLIST, HOSTINGER_TOOL_DENYLIST and the
+// HOSTINGER_ALLOWED_*_IDS variables replace the matching file setting when set.
+function loadPolicy() {
+  let config = {};
+  if (process.env.HOSTINGER_POLICY_FILE) {
+    try {
+      config = YAML.parse(fs.readFileSync(process.env.HOSTINGER_POLICY_FILE, "utf8")) || {};
+    } catch (error) {
+      throw new Error(`Policy file ${process.env.HOSTINGER_POLICY_FILE} could not be parsed: ${error.message}`);
+    }
+  }
+
+  const patterns = (setting, value) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (!Array.isArray(value)) {
+      throw new Error(`Policy setting ${setting} must be a list`);
+    }
+    return value.map(globToRegExp);
+  };
+
+  const resources = {};
+  for (const [type, { env }] of Object.entries(POLICY_RESOURCES)) {
+    const ids = patterns(`resources.${type}`, readListEnv(env) ?? config.resources?.[type]);
+    if (ids) {
+      resources[type] = ids;
+    }
+  }
+
+  return {
+    readOnly: process.env.HOSTINGER_READ_ONLY ? process.env.HOSTINGER_READ_ONLY === "true" : config.read_only === true,
+    allow: patterns("allow_tools", readListEnv("HOSTINGER_TOOL_ALLOWLIST") ?? config.allow_tools),
+    deny: patterns("deny_tools", readListEnv("HOSTINGER_TOOL_DENYLIST") ?? config.deny_tools) || [],
+    resources,
+  };
+}
+
+// Runbook prompts. Files in HOSTINGER_PROMPTS_DIR use the same shape, as JSON or
+// YAML, one prompt or { prompts: [...] } per file; a file prompt replaces a
+// built-in one with the same name. {{argument}} in a template is replaced with
+// the argument's value, or its default when the caller leaves it out.
+const BUILTIN_PROMPTS = [
+  {
+    name: "diagnose_slow_vps",
+    description: "Work out why a VPS is slow by comparing recent and daily resource usage",
+    arguments: [
+      { name: "vps_id", description: "VPS ID or hostname", required: true }
+    ],
+    template: [
+      "VPS {{vps_id}} is reported as slow. Diagnose it without changing anything:",
+      "1. Call get_vps for {{vps_id}} and note its state, plan and CPU and memory allocation.",
+      "2. Call get_vps_usage for {{vps_id}} with period 1h, then again with period 24h.",
+      "3. Compare the two: which of CPU, memory, disk and network is higher in the last hour than the daily average, and by how much?",
+      "4. Say whether the VPS is close to any limit of its plan.",
+      "Finish with the most likely cause and concrete next steps, such as a restart, an upgrade or investigating a process. Do not restart or stop the VPS unless asked."
+    ].join("\n")
+  },
+  {
+    name: "setup_domain_email",
+    description: "Set up email for a domain: MX, SPF and DMARC records, then a mailbox",
+    arguments: [
+      { name: "domain_id", description: "Domain ID or domain name", required: true },
+      { name: "mailbox", description: "Address to create, e.g. info@example.com", required: true },
+      { name: "dmarc_policy", description: "DMARC policy: none, quarantine or reject", default: "none" }
+    ],
+    template: [
+      "Set up email for domain {{domain_id}} and create the mailbox {{mailbox}}.",
+      "1. Call check_email_dns for {{domain_id}} and summarize which of MX, SPF, DKIM and DMARC pass.",
+      "2. Call configure_email_dns for {{domain_id}} with dmarc_policy {{dmarc_policy}} and dry_run: true, and show me the planned changes, pointing out any records that would be deleted.",
+      "3. Wait for my approval, then call configure_email_dns again to apply them.",
+      "4. After the records are in place, call create_email_account for {{mailbox}}. Ask me for the password rather than inventing one.",
+      "5. Summarize what was created and remind me that DNS changes can take a while to propagate."
+    ].join("\n")
+  },
+  {
+    name: "audit_dns",
+    description: "Review a domain's DNS records for mistakes and risky settings",
+    arguments: [
+      { name: "domain_id", description: "Domain ID or domain name", required: true }
+    ],
+    template: [
+      "Audit the DNS of domain {{domain_id}}. This is a read-only review; do not change any record.",
+      "Call get_domain_dns for {{domain_id}}, then check for:",
+      "- CNAME records at the apex or sharing a name with other records",
+      "- A and AAAA records pointing at private or obviously wrong addresses",
+      "- MX records without a priority, pointing at IP addresses or at names with no A or AAAA record in the zone",
+      "- Missing, duplicated or overly broad SPF records, and SPF needing more than 10 DNS lookups",
+      "- A missing DMARC record at _dmarc, or one with p=none on a domain that sends mail",
+      "- Very low or very high TTLs, and leftover records that look unused",
+      "Report findings as a table of severity, record and recommendation, most severe first."
+    ].join("\n")
+  },
+  {
+    name: "monthly_infrastructure_report",
+    description: "Summarize VPSes, domains, certificates, spending and changes for the month",
+    arguments: [
+      { name: "month", description: "Month to report on, e.g. 2024-05", default: "the last 30 days" }
+    ],
+    template: [
+      "Write an infrastructure report for {{month}} covering every account profile.",
+      "1. VPS: call list_all_vps and list each instance with its state; flag anything not running.",
+      "2. Domains: call list_all_domains and list domains expiring within 60 days.",
+      "3. Certificates: call list_expiring_ssl_certificates with days 30.",
+      "4. Spending: call get_invoices for {{month}} and get_renewal_summary with days 30, and give totals per currency.",
+      "5. Changes: call get_audit_log for {{month}} and summarize what was changed and by whom, including failed changes.",
+      "End with a short list of actions needed before next month."
+    ].join("\n")
+  },
+];
+
+// Loads custom prompts from HOSTINGER_PROMPTS_DIR on top of the built-in ones
+function loadPrompts() {
+  const prompts = new Map(BUILTIN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+  const dir = process.env.HOSTINGER_PROMPTS_DIR;
+  if (!dir) {
+    return prompts;
+  }
+
+  const files = fs.readdirSync(dir).filter((file) => /\.(json|ya?ml)$/i.test(file)).sort();
+  for (const file of files) {
+    let content;
+    try {
+      content = YAML.parse(fs.readFileSync(nodePath.join(dir, file), "utf8"));
+    } catch (error) {
+      throw new Error(`Prompt file ${file} could not be parsed: ${error.message}`);
+    }
+    for (const prompt of [].concat(content?.prompts ?? content)) {
+      const { name, template, arguments: args = [] } = prompt || {};
+      if (!name || typeof template !== "string") {
+        throw new Error(`Every prompt in ${file} needs a name and a template`);
+      }
+      if (!Array.isArray(args) || args.some((arg) => !arg || !arg.name)) {
+        throw new Error(`Prompt "${name}" in ${file} has an argument without a name`);
+      }
+      const declared = new Set(args.map((arg) => arg.name));
+      const unknown = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]).filter((arg) => !declared.has(arg));
+      if (unknown.length > 0) {
+        throw new Error(`Prompt "${name}" in ${file} uses undeclared arguments: ${[...new Set(unknown)].join(", ")}`);
+      }
+      prompts.set(name, { ...prompt, arguments: args });
+    }
+  }
+  return prompts;
+}
+
+function renderPrompt(prompt, values = {}) {
+  const missing = prompt.arguments
+    .filter((arg) => arg.required && (values[arg.name] === undefined || values[arg.name] === ""))
+    .map((arg) => arg.name);
+  if (missing.length > 0) {
+    const error = new Error(`Prompt ${prompt.name} is missing required arguments: ${missing.join(", ")}`);
+    error.code = -32602;
+    throw error;
+  }
+
+  const defaults = Object.fromEntries(prompt.arguments.map((arg) => [arg.name, arg.default ?? ""]));
+  return prompt.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] || defaults[name]);
+}
+
+function firstDate(record, fields) {
+  for (const field of fields) {
+    const date = record[field] ? new Date(record[field]) : null;
+    if (date && !isNaN(date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+function getCertificateExpiry(certificate) {
+  return firstDate(certificate, ["expires_at", "expiry_date", "valid_to"]);
+}
+
+function getRenewalDate(subscription) {
+  return firstDate(subscription, ["renewal_date", "next_billing_date", "expires_at"]);
+}
+
+function daysUntil(date) {
+  return Math.ceil((date - Date.now()) / DAY_MS);
+}
+
+function getPrice(subscription) {
+  const price = Number(subscription.renewal_price ?? subscription.price ?? 0);
+  return isNaN(price) ? 0 : price;
+}
+
+function formatPrice(subscription) {
+  return `${getPrice(subscription).toFixed(2)} ${subscription.currency || "USD"}`;
+}
+
+function formatBytes(bytes) {
+  if (typeof bytes !== "number" || isNaN(bytes)) {
+    return "unknown size";
+  }
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : undefined;
+}
+
+// List tools page through the API and filter and sort on this server. Upstream
+// pages are described by Laravel-style meta ({ current_page, last_page, per_page,
+// total }, at the top level, in meta or in meta.pagination) or by a next cursor.
+const PAGINATION_PROPERTIES = {
+  page: { type: "integer", description: "Page to fetch (default: the first page)" },
+  per_page: { type: "integer", description: "Items per page to request from the API" },
+  cursor: { type: "string", description: "Cursor from a previous result's next_cursor" },
+  all: { type: "boolean", description: "Follow every page, up to HOSTINGER_PAGINATION_MAX_PAGES" },
+};
+
+const LIST_FILTER_PROPERTIES = {
+  name_contains: { type: "string", description: "Only items whose name contains this text (case-insensitive)" },
+  status: { type: "string", description: "Only items with this status (or state, for VPS instances)" },
+  expires_before: { type: "string", description: "Only items that expire or renew before this date (YYYY-MM-DD)" },
+};
+
+const SORT_PROPERTY = {
+  sort: { type: "string", description: "Field to sort by, such as expires_at; prefix with - for descending order" },
+};
+
+// Item fields read by each list's filters; a list only offers the filters it has fields for
+const LIST_FIELDS = {
+  vps: { name_contains: ["hostname", "name"], status: ["state", "status"] },
+  domains: { name_contains: ["domain", "name"], status: ["status"], expires_before: (domain) => firstDate(domain, ["expires_at", "expiry_date"]) },
+  hosting: { name_contains: ["domain", "primary_domain", "name"], status: ["status", "state"] },
+  email: { name_contains: ["email", "address"], status: ["status"] },
+  ssl: { name_contains: ["domain", "common_name"], status: ["status"], expires_before: getCertificateExpiry },
+  backups: { status: ["status"] },
+  subscriptions: { name_contains: ["name"], expires_before: getRenewalDate },
+  invoices: {},
+};
+
+function listProperties(kind, { paginated = true } = {}) {
+  const filters = Object.keys(LIST_FIELDS[kind]).map((filter) => [filter, LIST_FILTER_PROPERTIES[filter]]);
+  // Cross-account lists always read every page of every account
+  const pagination = paginated ? PAGINATION_PROPERTIES : { per_page: PAGINATION_PROPERTIES.per_page };
+  return { ...pagination, ...Object.fromEntries(filters), ...SORT_PROPERTY };
+}
+
+function readPagination(result) {
+  if (!result || Array.isArray(result)) {
+    return {};
+  }
+  const meta = result.meta?.pagination ?? result.meta ?? result.pagination ?? result;
+  const number = (value) => (Number.isFinite(Number(value)) && value !== null && value !== "" ? Number(value) : null);
+  return {
+    page: number(meta.current_page ?? meta.page),
+    perPage: number(meta.per_page),
+    total: number(meta.total),
+    lastPage: number(meta.last_page ?? meta.total_pages),
+    nextCursor: meta.next_cursor ?? result.next_cursor ?? null,
+  };
+}
+
+function filterListItems(items, fields, { name_contains, status, expires_before }) {
+  let filtered = items;
+  if (name_contains && fields.name_contains) {
+    const needle = name_contains.toLowerCase();
+    filtered = filtered.filter((item) => String(columnValue(item, fields.name_contains) ?? "").toLowerCase().includes(needle));
+  }
+  if (status && fields.status) {
+    filtered = filtered.filter((item) => String(columnValue(item, fields.status) ?? "").toLowerCase() === status.toLowerCase());
+  }
+  if (expires_before && fields.expires_before) {
+    const cutoff = new Date(expires_before);
+    if (isNaN(cutoff)) {
+      throw new Error(`expires_before must be a date, got "${expires_before}"`);
+    }
+    filtered = filtered.filter((item) => {
+      const expiry = fields.expires_before(item);
+      return expiry && expiry < cutoff;
+    });
+  }
+  return filtered;
+}
+
+// Numbers and dates compare by value, everything else as text; missing values go last
+function sortListItems(items, sort) {
+  if (!sort) {
+    return items;
+  }
+  const descending = sort.startsWith("-");
+  const field = sort.replace(/^-/, "");
+  const key = (item) => {
+    const value = item[field];
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (typeof value === "number") {
+      return value;
+    }
+    const date = typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+    return isNaN(date) ? String(value).toLowerCase() : date;
+  };
+  return [...items].sort((a, b) => {
+    const [left, right] = [key(a), key(b)];
+    if (left === null || right === null) {
+      return (left === null) - (right === null);
+    }
+    const order = left < right ? -1 : left > right ? 1 : 0;
+    return descending ? -order : order;
+  });
+}
+
+// Usage monitoring. Each metric is read from the first of its candidate fields in a
+// usage response, as a percentage or as { used, limit } (also usage/total/max).
+const USAGE_METRICS = {
+  cpu: ["cpu", "cpu_usage", "cpu_percent"],
+  ram: ["ram", "memory", "ram_usage", "memory_usage", "memory_percent"],
+  disk: ["disk", "disk_usage", "disk_space", "storage"],
+  bandwidth: ["bandwidth", "bandwidth_usage", "traffic"],
+  inodes: ["inodes", "inode_usage", "inodes_usage"],
+};
+const ALERT_STATUSES = ["active", "resolved", "all"];
+const MONITORED_RESOURCE_TYPES = ["vps", "hosting"];
+
+function usagePercent(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (value && typeof value === "object") {
+    if (typeof value.percent === "number") {
+      return value.percent;
+    }
+    const used = value.used ?? value.usage ?? value.current;
+    const limit = value.limit ?? value.total ?? value.max;
+    if (typeof used === "number" && typeof limit === "number" && limit > 0) {
+      return (used / limit) * 100;
+    }
+  }
+  return null;
+}
+
+function extractUsageMetrics(usage) {
+  const source = usage.data || usage;
+  const metrics = {};
+  for (const [metric, fields] of Object.entries(USAGE_METRICS)) {
+    for (const field of fields) {
+      const percent = usagePercent(source[field]);
+      if (percent !== null) {
+        metrics[metric] = Math.round(percent * 10) / 10;
+        break;
+      }
+    }
+  }
+  return metrics;
+}
+
+function formatPercent(value) {
+  return value === undefined ? undefined : `${value}%`;
+}
+
+const ALERT_COLUMNS = [
+  ["Status", "status"],
+  ["Account", "account"],
+  ["Resource", (alert) => `${alert.resource_type} ${alert.resource_name || alert.resource_id}`],
+  ["Metric", "metric"],
+  ["Value", (alert) => formatPercent(alert.value)],
+  ["Threshold", (alert) => formatPercent(alert.threshold)],
+  ["Since", "started_at"],
+  ["Resolved", "resolved_at"],
+];
+
+const USAGE_HISTORY_COLUMNS = [
+  ["Time", "timestamp"],
+  ...Object.keys(USAGE_METRICS).map((metric) => [metric.toUpperCase(), (sample) => formatPercent(sample[metric])]),
+];
+
+// Alert thresholds in percent from HOSTINGER_ALERT_<METRIC>_PERCENT, default 90
+function loadAlertThresholds() {
+  return Object.fromEntries(Object.keys(USAGE_METRICS).map((metric) =>
+    [metric, readIntEnv(`HOSTINGER_ALERT_${metric.toUpperCase()}_PERCENT`, 90)]
+  ));
+}
+
+// Summary table columns: [label, field name | fallback field names | getter]
+const VPS_COLUMNS = [
+  ["ID", "id"],
+  ["Name", ["hostname", "name"]],
+  ["State", ["state", "status"]],
+  ["IP", (vps) => {
+    const ip = vps.ipv4 ?? vps.ip_address ?? vps.ip;
+    return Array.isArray(ip) ? ip.map((entry) => entry.address || entry).join(", ") : ip;
+  }],
+  ["Plan", ["plan", "plan_name"]],
+];
+
+const DOMAIN_COLUMNS = [
+  ["ID", "id"],
+  ["Domain", ["domain", "name"]],
+  ["Status", "status"],
+  ["Expires", ["expires_at", "expiry_date"]],
+];
+
+const DNS_COLUMNS = [
+  ["ID", "id"],
+  ["Type", "type"],
+  ["Name", "name"],
+  ["Content", "content"],
+  ["TTL", "ttl"],
+  ["Priority", "priority"],
+];
+
+const DNS_PLAN_COLUMNS = [
+  ["Step", "step"],
+  ["Action", "action"],
+  ["Type", "type"],
+  ["Name", "name"],
+  ["Content", "content"],
+  ["TTL", "ttl"],
+  ["Priority", "priority"],
+  ["Record ID", "record_id"],
+  ["Was", "current_content"],
+];
+
+const EMAIL_DNS_CHECK_COLUMNS = [
+  ["Check", "check"],
+  ["Status", "status"],
+  ["Detail", "detail"],
+];
+
+const HOSTING_COLUMNS = [
+  ["ID", "id"],
+  ["Domain", ["domain", "primary_domain", "name"]],
+  ["Plan", ["plan", "plan_name"]],
+  ["Status", ["status", "state"]],
+];
+
+const EMAIL_COLUMNS = [
+  ["Email", ["email", "address"]],
+  ["Quota (MB)", "quota"],
+  ["Status", "status"],
+];
+
+const SSL_COLUMNS = [
+  ["ID", "id"],
+  ["Domain", ["domain", "common_name"]],
+  ["Issuer", "issuer"],
+  ["Expires", (certificate) => formatDate(getCertificateExpiry(certificate))],
+  ["Status", "status"],
+];
+
+const BACKUP_COLUMNS = [
+  ["ID", "id"],
+  ["Created", ["created_at", "timestamp"]],
+  ["Size", (backup) => formatBytes(backup.size)],
+];
+
+const INVOICE_COLUMNS = [
+  ["ID", ["id", "number"]],
+  ["Date", ["issued_at", "date", "created_at"]],
+  ["Status", "status"],
+  ["Amount", ["total", "amount"]],
+  ["Currency", "currency"],
+];
+
+const SUBSCRIPTION_COLUMNS = [
+  ["Name", ["name", "id"]],
+  ["Renews", (subscription) => formatDate(getRenewalDate(subscription))],
+  ["Price", formatPrice],
+];
+
+const AUDIT_COLUMNS = [
+  ["Time", "timestamp"],
+  ["Caller", "caller"],
+  ["Account", "account"],
+  ["Tool", "tool"],
+  ["Request", (entry) => `${entry.method} ${entry.endpoint}`],
+  ["Status", (entry) => entry.status || entry.outcome],
+  ["ms", "duration_ms"],
+];
+
+const BATCH_COLUMNS = [
+  ["#", "index"],
+  ["Tool", "tool"],
+  ["Status", "status"],
+  ["Result", "summary"],
+];
+
+const BATCH_ERROR_MODES = ["stop", "continue"];
+
+// MCP resources. `path` is matched against the URI's host and path; `account` may
+// be given as a query parameter to read from a profile other than the default.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "hostinger://vps/{id}{?account}",
+    name: "VPS",
+    description: "A VPS instance and its current state",
+    path: /^vps\/([^/]+)$/,
+    kind: "vps"
+  },
+  {
+    uriTemplate: "hostinger://domains/{id}/dns{?account}",
+    name: "Domain DNS records",
+    description: "All DNS records of a domain",
+    path: /^domains\/([^/]+)\/dns$/,
+    kind: "dns"
+  },
+  {
+    uriTemplate: "hostinger://hosting/{id}/usage{?account}",
+    name: "Hosting usage",
+    description: "Resource usage of a hosting account",
+    path: /^hosting\/([^/]+)\/usage$/,
+    kind: "hosting_usage"
+  },
+];
+
+// What counts as a change for subscriptions: a VPS only when its state changes,
+// since details like uptime move constantly; other resources on any change
+function resourceFingerprint({ kind }, data) {
+  if (kind === "vps") {
+    const vps = data.data || data;
+    return String(vps.state || vps.status);
+  }
+  return crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+}
+
+const OUTPUT_FORMATS = ["summary", "markdown", "json"];
+
+// Summaries stop after this many rows unless an explicit limit is given
+const SUMMARY_ROW_LIMIT = 50;
+
+const OUTPUT_OPTION_PROPERTIES = {
+  format: {
+    type: "string",
+    description: "Output format: summary (default), markdown or json",
+    enum: OUTPUT_FORMATS
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only return these fields of each item"
+  },
+  limit: { type: "integer", description: "Maximum number of items to return" },
+};
+
+const ACCOUNT_PROPERTY = {
+  account: { type: "string", description: "Hostinger account profile to use (default profile if omitted)" },
+};
+
+const CACHE_PROPERTY = {
+  fresh: { type: "boolean", description: "Read current data from the API instead of the response cache" },
+};
+
+function withCommonProperties(tool) {
+  const accountProperty = CROSS_ACCOUNT_TOOLS.has(tool.name) ? {} : ACCOUNT_PROPERTY;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, ...accountProperty, ...CACHE_PROPERTY, ...OUTPUT_OPTION_PROPERTIES }
+    }
+  };
+}
+
+function columnValue(item, accessor) {
+  if (typeof accessor === "function") {
+    return accessor(item);
+  }
+  for (const key of [].concat(accessor)) {
+    if (item[key] !== undefined && item[key] !== null) {
+      return item[key];
+    }
+  }
+  return undefined;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null || value === "") {
+    return "-";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function pickFields(item, fields) {
+  return Object.fromEntries(fields.filter((field) => field in item).map((field) => [field, item[field]]));
+}
+
+function renderTable(rows, columns, markdown) {
+  const header = columns.map(([label]) => label);
+  const cells = rows.map((row) => columns.map(([, accessor]) => formatCell(columnValue(row, accessor))));
+
+  if (markdown) {
+    const line = (values) => `| ${values.map((value) => value.replace(/\|/g, "\\|")).join(" | ")} |`;
+    return [line(header), line(header.map(() => "---")), ...cells.map(line)].join("\n");
+  }
+
+  const widths = header.map((label, i) => Math.max(label.length, ...cells.map((row) => row[i].length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(header), ...cells.map(line)].join("\n");
+}
+
+function renderDetails(item, columns, markdown) {
+  let entries = columns ? columns.map(([label, accessor]) => [label, columnValue(item, accessor)]) : [];
+  if (entries.every(([, value]) => value === undefined)) {
+    entries = Object.entries(item);
+  }
+  return entries
+    .map(([label, value]) => (markdown ? `- **${label}**: ${formatCell(value)}` : `${label}: ${formatCell(value)}`))
+    .join("\n");
+}
+
+// Turns a tool method's { title, message, data, columns, meta } into an MCP result
+// with a short text summary and the data as structured content
+function renderResult(output, { format = "summary", fields, limit } = {}) {
+  const { title, message, meta } = output;
+  const markdown = format === "markdown";
+  const data = output.data && typeof output.data === "object" && !Array.isArray(output.data) && "data" in output.data
+    ? output.data.data
+    : output.data;
+  let columns = fields ? fields.map((field) => [field, field]) : output.columns;
+  let structuredContent;
+  let body = [];
+
+  if (Array.isArray(data)) {
+    const total = data.length;
+    let items = limit > 0 ? data.slice(0, limit) : data;
+    if (fields) {
+      items = items.map((item) => pickFields(item, fields));
+    }
+    structuredContent = { ...meta, total, items };
+
+    const rows = limit > 0 ? items : items.slice(0, SUMMARY_ROW_LIMIT);
+    if (!columns && rows.length > 0) {
+      columns = Object.keys(rows[0])
+        .filter((key) => typeof rows[0][key] !== "object")
+        .map((key) => [key, key]);
+    }
+    if (rows.length > 0) {
+      body.push(renderTable(rows, columns, markdown));
+    }
+    if (rows.length < total) {
+      body.push(`Showing ${rows.length} of ${total}; use limit, fields or format "json" to see more.`);
+    }
+  } else if (data && typeof data === "object") {
+    const item = fields ? pickFields(data, fields) : data;
+    structuredContent = { ...meta, ...item };
+    body.push(renderDetails(item, columns, markdown));
+  } else if (meta) {
+    structuredContent = { ...meta };
+  }
+
+  const heading = Array.isArray(data) ? `${title} (${data.length})` : title;
+  if (format === "json") {
+    body = [JSON.stringify(structuredContent ?? null, null, 2)];
+  }
+  const text = [markdown ? `### ${heading}` : heading, message, ...body].filter(Boolean).join("\n");
+
+  return {
+    content: [
+      {
+        type: "text",
+        text
+      }
+    ],
+    ...(structuredContent && { structuredContent })
+  };
+}
+
+// Adds how many API reads the cache answered to _meta, and a note to the text so the
+// model knows the data may be slightly old
+function withCacheMeta(result, cache, format) {
+  const { hits, misses, maxAgeMs } = cache;
+  if (hits + misses === 0) {
+    return result;
+  }
+  const content = hits > 0 && format !== "json"
+    ? [...result.content, { type: "text", text: `${hits} of ${hits + misses} API reads served from cache, up to ${Math.ceil(maxAgeMs / 1000)}s old; pass fresh: true to refetch.` }]
+    : result.content;
+  return { ...result, content, _meta: { ...result._meta, cache: { hits, misses, max_age_ms: maxAgeMs } } };
+}
+
+// Response cache TTLs by endpoint template; others use HOSTINGER_CACHE_TTL_MS.
+// VPS details change with every start and stop, listings and billing rarely do.
+const DEFAULT_CACHE_TTLS = {
+  "/v1/vps": 30000,
+  "/v1/vps/{id}": 10000,
+  "/v1/vps/{id}/usage": 30000,
+  "/v1/domains": 300000,
+  "/v1/hosting": 300000,
+  "/v1/billing/subscriptions": 300000,
+  "/v1/billing/invoices": 300000,
+};
+
+// HOSTINGER_CACHE_TTLS adds or replaces entries, e.g. "/v1/vps/{id}=5000,/v1/domains/{id}/dns=0"
+function loadCacheTtls() {
+  const ttls = { ...DEFAULT_CACHE_TTLS };
+  for (const item of readListEnv("HOSTINGER_CACHE_TTLS") ?? []) {
+    const [template, ms] = item.split("=");
+    const ttl = parseInt(ms, 10);
+    if (!template || isNaN(ttl)) {
+      throw new Error(`HOSTINGER_CACHE_TTLS entries must look like /v1/vps/{id}=5000, got "${item}"`);
+    }
+    ttls[template.trim()] = ttl;
+  }
+  return ttls;
+}
+
+// A change sent to /v1/<collection>/<id>/... makes everything cached under
+// /v1/<collection>/<id> stale, and the /v1/<collection> listing with it
+// Certificates are listed under /v1/ssl and under their domain or hosting account,
+// so a change to one clears every cached certificate response
+function isSSLPath(endpointPath) {
+  return endpointPath.split("/").includes("ssl");
+}
+
+function cacheScope(endpoint) {
+  const endpointPath = endpoint.split("?")[0];
+  const [, version, collection, id] = endpointPath.split("/");
+  return {
+    collection,
+    listing: `/${version}/${collection}`,
+    prefix: id ? `/${version}/${collection}/${id}` : null,
+    ssl: isSSLPath(endpointPath)
+  };
+}
+
+// Literal path segments of the Hostinger API; any other segment is an ID or name
+const ENDPOINT_SEGMENTS = new Set([
+  "v1", "account", "billing", "subscriptions", "invoices", "domains", "dns", "email", "dkim",
+  "ssl", "hosting", "usage", "vps", "start", "stop", "restart", "backups", "restore",
+]);
+const TOOL_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+const UPSTREAM_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Endpoint with IDs replaced, e.g. /v1/domains/123/dns/456 -> /v1/domains/{id}/dns/{id},
+// so metrics stay one series per API route
+function endpointTemplate(endpoint) {
+  return endpoint
+    .split("?")[0]
+    .split("/")
+    .map((segment) => (segment === "" || ENDPOINT_SEGMENTS.has(segment) ? segment : "{id}"))
+    .join("/");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// In-process counters, histograms and gauges rendered in the Prometheus text format.
+// Gauges are read from a callback at scrape time instead of being updated as things change.
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help) {
+    this.metrics.set(name, { type: "counter", help, series: new Map() });
+  }
+
+  histogram(name, help, buckets) {
+    this.metrics.set(name, { type: "histogram", help, buckets, series: new Map() });
+  }
+
+  gauge(name, help, collect) {
+    this.metrics.set(name, { type: "gauge", help, collect });
+  }
+
+  series(name, labels, create) {
+    const metric = this.metrics.get(name);
+    const key = JSON.stringify(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create(metric) });
+    }
+    return metric.series.get(key);
+  }
+
+  inc(name, labels = {}, amount = 1) {
+    this.series(name, labels, () => ({ value: 0 })).value += amount;
+  }
+
+  observe(name, labels, value) {
+    const series = this.series(name, labels, (metric) => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    const { buckets } = this.metrics.get(name);
+    buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      if (metric.type === "gauge") {
+        for (const { labels, value } of metric.collect()) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      } else if (metric.type === "counter") {
+        for (const { labels, value } of metric.series.values()) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      } else {
+        for (const { labels, counts, sum, count } of metric.series.values()) {
+          metric.buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+function isJsonRpcRequest(message) {
+  return "method" in message && "id" in message;
+}
+
+function jsonRpcError(code, message, id = null) {
+  return { jsonrpc: "2.0", error: { code, message }, id };
+}
+
+// Server side of the MCP Streamable HTTP transport for a single session.
+// Each POST carries one message or a batch; responses go back on that POST,
+// either as JSON or, when the client asked for progress, as an SSE stream.
+// Progress goes to the stream of the request that sent the progressToken;
+// other server-initiated messages use the open SSE stream from GET, if any.
+class StreamableHTTPServerTransport {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.pending = new Map();
+    this.progressStreams = new Map();
+    this.activeStreams = new Set();
+    this.standaloneStream = null;
+  }
+
+  async start() {}
+
+  async handlePost(req, res, messages, isBatch) {
+    const requestIds = messages.filter(isJsonRpcRequest).map((message) => message.id);
+
+    if (requestIds.length === 0) {
+      res.status(202).end();
+      for (const message of messages) {
+        this.onmessage?.(message);
+        if (message.method === "notifications/cancelled") {
+          this.forget(message.params?.requestId);
+        }
+      }
+      return;
+    }
+
+    const wantsProgress = messages.some((message) => message.params?._meta?.progressToken !== undefined);
+    const stream = wantsProgress && (req.headers.accept || "").includes("text/event-stream");
+    const progressTokens = messages
+      .filter(isJsonRpcRequest)
+      .map((message) => message.params?._meta?.progressToken)
+      .filter((token) => token !== undefined);
+    const exchange = { res, isBatch, stream, requestIds, progressTokens, waiting: new Set(requestIds), responses: [] };
+
+    if (stream) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "Mcp-Session-Id": this.sessionId,
+      });
+      this.activeStreams.add(exchange);
+      for (const token of progressTokens) {
+        this.progressStreams.set(token, exchange);
+      }
+    }
+    res.on("close", () => {
+      this.release(exchange);
+      for (const id of exchange.waiting) {
+        this.pending.delete(id);
+      }
+    });
+
+    for (const id of requestIds) {
+      this.pending.set(id, exchange);
+    }
+    for (const message of messages) {
+      this.onmessage?.(message);
+    }
+  }
+
+  handleGet(req, res) {
+    if (this.standaloneStream) {
+      return res.status(409).json(jsonRpcError(-32000, "Conflict: an SSE stream is already open for this session"));
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Mcp-Session-Id": this.sessionId,
+    });
+    res.flushHeaders();
+    this.standaloneStream = res;
+    res.on("close", () => {
+      if (this.standaloneStream === res) {
+        this.standaloneStream = null;
+      }
+    });
+  }
+
+  async send(message) {
+    const isResponse = !("method" in message) && "id" in message;
+
+    if (!isResponse) {
+      const related = message.method === "notifications/progress"
+        ? this.progressStreams.get(message.params?.progressToken)
+        : undefined;
+      const target = related?.res || this.standaloneStream;
+      target?.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+      return;
+    }
+
+    const exchange = this.pending.get(message.id);
+    if (!exchange) {
+      return;
+    }
+    this.pending.delete(message.id);
+    exchange.waiting.delete(message.id);
+
+    if (exchange.stream) {
+      exchange.res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    } else {
+      exchange.responses.push(message);
+    }
+    this.finish(exchange);
+  }
+
+  // A cancelled request never gets a response, so stop holding its exchange open for one
+  forget(id) {
+    const exchange = this.pending.get(id);
+    if (!exchange) {
+      return;
+    }
+    this.pending.delete(id);
+    exchange.waiting.delete(id);
+    this.finish(exchange);
+  }
+
+  finish(exchange) {
+    if (exchange.waiting.size > 0) {
+      return;
+    }
+    if (exchange.stream) {
+      this.release(exchange);
+      exchange.res.end();
+    } else if (exchange.responses.length === 0) {
+      exchange.res.status(204).end();
+    } else {
+      exchange.responses.sort((a, b) => exchange.requestIds.indexOf(a.id) - exchange.requestIds.indexOf(b.id));
+      exchange.res
+        .set("Mcp-Session-Id", this.sessionId)
+        .json(exchange.isBatch ? exchange.responses : exchange.responses[0]);
+    }
+  }
+
+  release(exchange) {
+    this.activeStreams.delete(exchange);
+    for (const token of exchange.progressTokens) {
+      if (this.progressStreams.get(token) === exchange) {
+        this.progressStreams.delete(token);
+      }
+    }
+  }
+
+  async close() {
+    for (const exchange of this.activeStreams) {
+      exchange.res.end();
+    }
+    this.activeStreams.clear();
+    this.progressStreams.clear();
+    this.pending.clear();
+    this.standaloneStream?.end();
+    this.standaloneStream = null;
+    this.onclose?.();
+  }
+}
+
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT", "NS", "SRV"];
+const DNS_CLASSES = ["IN", "CH", "HS"];
+const DEFAULT_ZONE_TTL = 3600;
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const RDATA_FIELD_COUNTS = { A: 1, AAAA: 1, CNAME: 1, NS: 1, MX: 2, SRV: 4, TXT: 1 };
+
+function parseTtl(token) {
+  if (!/^(\d+[smhdw]?)+$/i.test(token)) {
+    return null;
+  }
+  let total = 0;
+  for (const [, amount, unit] of token.matchAll(/(\d+)([smhdw]?)/gi)) {
+    total += parseInt(amount, 10) * (unit ? TTL_UNITS[unit.toLowerCase()] : 1);
+  }
+  return total;
+}
+
+function toFqdn(name, origin) {
+  if (name === "@") {
+    return origin;
+  }
+  return name.endsWith(".") ? name.toLowerCase() : `${name}.${origin}`.toLowerCase();
+}
+
+// "www.example.com." relative to "example.com." is "www"; the apex is "@"
+function toRelativeName(fqdn, zone) {
+  if (fqdn === zone) {
+    return "@";
+  }
+  return fqdn.endsWith(`.${zone}`) ? fqdn.slice(0, -(zone.length + 1)) : null;
+}
+
+// Splits one logical zone-file line into tokens, keeping quoted strings intact
+function tokenizeZoneLine(line) {
+  const tokens = [];
+  let i = 0;
+  while (i < line.length) {
+    const char = line[i];
+    if (char === ";") {
+      break;
+    }
+    if (/\s/.test(char) || char === "(" || char === ")") {
+      i++;
+      continue;
+    }
+    if (char === '"') {
+      let value = "";
+      i++;
+      while (i < line.length && line[i] !== '"') {
+        if (line[i] === "\\" && /^\d{3}$/.test(line.slice(i + 1, i + 4))) {
+          value += String.fromCharCode(parseInt(line.slice(i + 1, i + 4), 10));
+          i += 4;
+        } else if (line[i] === "\\") {
+          value += line[i + 1] || "";
+          i += 2;
+        } else {
+          value += line[i++];
+        }
+      }
+      if (i >= line.length) {
+        throw new Error(`Unterminated quoted string in: ${line.trim()}`);
+      }
+      i++;
+      tokens.push({ value, quoted: true });
+      continue;
+    }
+    let value = "";
+    while (i < line.length && !/[\s;()"]/.test(line[i])) {
+      value += line[i++];
+    }
+    tokens.push({ value, quoted: false });
+  }
+  return tokens;
+}
+
+// Joins parenthesized continuation lines and drops comments and blank lines
+function zoneFileLines(text) {
+  const lines = [];
+  let pending = null;
+  for (const raw of text.split(/\r?\n/)) {
+    let depth = 0;
+    let inQuotes = false;
+    let end = raw.length;
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i];
+      if (char === "\\") {
+        i++;
+      } else if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && char === ";") {
+        end = i;
+        break;
+      } else if (!inQuotes && char === "(") {
+        depth++;
+      } else if (!inQuotes && char === ")") {
+        depth--;
+      }
+    }
+    const content = raw.slice(0, end);
+    if (pending !== null) {
+      pending.text += ` ${content}`;
+      pending.depth += depth;
+    } else {
+      pending = { text: content, depth };
+    }
+    if (pending.depth <= 0) {
+      if (pending.text.trim()) {
+        lines.push(pending.text);
+      }
+      pending = null;
+    }
+  }
+  if (pending !== null) {
+    throw new Error("Unbalanced parentheses in zone file");
+  }
+  return lines;
+}
+
+// Parses a BIND zone file into Hostinger-style records named relative to `zone`.
+// Records that cannot be imported are returned in `skipped` with a reason.
+function parseZoneFile(text, zone) {
+  const apex = zone.endsWith(".") ? zone.toLowerCase() : `${zone.toLowerCase()}.`;
+  let origin = apex;
+  let defaultTtl = null;
+  let lastOwner = null;
+  let lastTtl = null;
+  const records = [];
+  const skipped = [];
+
+  for (const line of zoneFileLines(text)) {
+    const tokens = tokenizeZoneLine(line);
+    if (tokens.length === 0) {
+      continue;
+    }
+
+    const first = tokens[0].value;
+    if (first.toUpperCase() === "$ORIGIN") {
+      origin = toFqdn(tokens[1].value, origin);
+      continue;
+    }
+    if (first.toUpperCase() === "$TTL") {
+      defaultTtl = parseTtl(tokens[1].value);
+      continue;
+    }
+    if (first.startsWith("$")) {
+      throw new Error(`Unsupported directive ${first}`);
+    }
+
+    let owner;
+    if (/^\s/.test(line)) {
+      if (!lastOwner) {
+        throw new Error(`Record without an owner name: ${line.trim()}`);
+      }
+      owner = lastOwner;
+    } else {
+      owner = toFqdn(tokens.shift().value, origin);
+    }
+    lastOwner = owner;
+
+    let ttl = null;
+    while (tokens.length > 0) {
+      const token = tokens[0].value;
+      if (DNS_CLASSES.includes(token.toUpperCase())) {
+        tokens.shift();
+      } else if (ttl === null && parseTtl(token) !== null) {
+        ttl = parseTtl(tokens.shift().value);
+      } else {
+        break;
+      }
+    }
+    if (tokens.length === 0) {
+      throw new Error(`Record without a type: ${line.trim()}`);
+    }
+
+    const type = tokens.shift().value.toUpperCase();
+    const rdata = tokens;
+    ttl = ttl ?? defaultTtl ?? lastTtl ?? DEFAULT_ZONE_TTL;
+    lastTtl = ttl;
+
+    const name = toRelativeName(owner, apex);
+    if (name === null) {
+      skipped.push({ line: line.trim(), reason: `owner ${owner} is outside ${apex}` });
+      continue;
+    }
+    if (!DNS_RECORD_TYPES.includes(type)) {
+      skipped.push({ line: line.trim(), reason: `${type} records are not supported` });
+      continue;
+    }
+    if (type === "NS" && name === "@") {
+      skipped.push({ line: line.trim(), reason: "apex NS records are managed by the provider" });
+      continue;
+    }
+
+    if (rdata.length < RDATA_FIELD_COUNTS[type]) {
+      throw new Error(`Incomplete ${type} record: ${line.trim()}`);
+    }
+
+    const target = (token) => toFqdn(token.value, origin).replace(/\.$/, "");
+    const record = { type, name, ttl };
+    switch (type) {
+      case "A":
+      case "AAAA":
+        record.content = rdata[0].value;
+        break;
+      case "CNAME":
+      case "NS":
+        record.content = target(rdata[0]);
+        break;
+      case "MX":
+        record.priority = parseInt(rdata[0].value, 10);
+        record.content = target(rdata[1]);
+        break;
+      case "SRV":
+        record.priority = parseInt(rdata[0].value, 10);
+        record.content = `${rdata[1].value} ${rdata[2].value} ${target(rdata[3])}`;
+        break;
+      case "TXT":
+        // Multi-string TXT data is one value split into <=255 character chunks
+        record.content = rdata.map((token) => token.value).join("");
+        break;
+    }
+    records.push(record);
+  }
+
+  return { records, skipped };
+}
+
+function quoteTxt(content) {
+  const chunks = content.match(/[\s\S]{1,255}/g) || [""];
+  return chunks.map((chunk) => `"${chunk.replace(/(["\\])/g, "\\$1")}"`).join(" ");
+}
+
+function zoneTarget(content) {
+  if (content.endsWith(".") || !content.includes(".")) {
+    return content;
+  }
+  return `${content}.`;
+}
+
+function renderZoneFile(records, zone) {
+  const origin = zone.endsWith(".") ? zone : `${zone}.`;
+  const lines = [`$ORIGIN ${origin}`, `$TTL ${DEFAULT_ZONE_TTL}`];
+
+  for (const record of records) {
+    const type = String(record.type).toUpperCase();
+    let name = record.name || "@";
+    if (name !== "@") {
+      name = toRelativeName(toFqdn(name, origin), origin) ?? `${name}.`;
+    }
+    const ttl = record.ttl || DEFAULT_ZONE_TTL;
+    const content = String(record.content ?? "");
+
+    let rdata;
+    switch (type) {
+      case "CNAME":
+      case "NS":
+        rdata = zoneTarget(content);
+        break;
+      case "MX":
+        rdata = `${record.priority ?? 10} ${zoneTarget(content)}`;
+        break;
+      case "SRV": {
+        const parts = content.split(/\s+/);
+        const [weight, port, target] = parts.length === 4 ? parts.slice(1) : parts;
+        const priority = parts.length === 4 ? parts[0] : record.priority ?? 0;
+        rdata = `${priority} ${weight} ${port} ${zoneTarget(target)}`;
+        break;
+      }
+      case "TXT":
+        rdata = content.startsWith('"') ? content : quoteTxt(content);
+        break;
+      default:
+        rdata = content;
+    }
+    lines.push(`${name}\t${ttl}\tIN\t${type}\t${rdata}`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+const DNS_DOCUMENT_FIELDS = ["type", "name", "content", "ttl", "priority"];
+
+function recordName(name) {
+  return !name || name === "@" ? "@" : String(name).toLowerCase().replace(/\.$/, "");
+}
+
+// Hostnames compare case-insensitively and with or without a trailing dot; TXT data is exact
+function sameDNSContent(desired, current) {
+  if (desired.type === "TXT") {
+    return txtValue(desired.content) === txtValue(current.content);
+  }
+  const normalize = (content) => String(content).toLowerCase().replace(/\.$/, "");
+  return normalize(desired.content) === normalize(current.content);
+}
+
+// Parses a desired-state document, either a list of records or { records: [...] },
+// written as JSON or YAML (YAML is a superset of JSON, so one parser covers both)
+function parseDNSDocument(text) {
+  let document;
+  try {
+    document = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse DNS document: ${error.message}`);
+  }
+
+  const records = Array.isArray(document) ? document : document?.records;
+  if (!Array.isArray(records)) {
+    throw new Error('DNS document must be a list of records or an object with a "records" list');
+  }
+
+  return records.map((record, index) => {
+    const where = `records[${index}]`;
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const unknown = Object.keys(record).filter((key) => !DNS_DOCUMENT_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where} has unknown fields: ${unknown.join(", ")}`);
+    }
+    const type = String(record.type || "").toUpperCase();
+    if (!DNS_RECORD_TYPES.includes(type)) {
+      throw new Error(`${where}.type must be one of ${DNS_RECORD_TYPES.join(", ")}`);
+    }
+    if (record.content === undefined || record.content === null || record.content === "") {
+      throw new Error(`${where}.content is required`);
+    }
+    for (const field of ["ttl", "priority"]) {
+      if (record[field] !== undefined && !Number.isInteger(record[field])) {
+        throw new Error(`${where}.${field} must be an integer`);
+      }
+    }
+    return {
+      type,
+      name: recordName(record.name),
+      content: String(record.content),
+      ttl: record.ttl,
+      priority: record.priority
+    };
+  });
+}
+
+// Diffs desired records against the current ones, matching by type and name. Within
+// a type/name pair, records with the same content are kept (or updated if their TTL
+// or priority changed), leftovers are paired up as updates, and the rest become
+// creates or deletes. Pairs absent from the document are deleted unless
+// protectUnlisted is set; the provider-managed apex NS set is never deleted that way.
+function planDNSChanges(desired, current, { protectUnlisted = false } = {}) {
+  const groups = new Map();
+  const groupFor = (record) => {
+    const key = `${String(record.type).toUpperCase()}|${recordName(record.name)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, desired: [], current: [] });
+    }
+    return groups.get(key);
+  };
+  desired.forEach((record) => groupFor(record).desired.push(record));
+  current.forEach((record) => groupFor(record).current.push(record));
+
+  const step = (action, record, existing) => ({
+    action,
+    type: record.type,
+    name: record.name,
+    content: record.content,
+    ttl: record.ttl ?? existing?.ttl,
+    priority: record.priority ?? existing?.priority,
+    record_id: existing?.id,
+    current_content: action === "update" ? existing.content : undefined
+  });
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+  let unchanged = 0;
+
+  for (const group of groups.values()) {
+    if (group.desired.length === 0) {
+      if (!protectUnlisted && group.key !== "NS|@") {
+        group.current.forEach((record) => deletes.push(step("delete", { ...record, name: recordName(record.name) }, record)));
+      }
+      continue;
+    }
+
+    const remaining = [...group.current];
+    const unmatched = [];
+    for (const record of group.desired) {
+      const index = remaining.findIndex((candidate) => sameDNSContent(record, candidate));
+      if (index === -1) {
+        unmatched.push(record);
+        continue;
+      }
+      const [existing] = remaining.splice(index, 1);
+      const changed = (record.ttl !== undefined && record.ttl !== existing.ttl) ||
+        (record.priority !== undefined && record.priority !== existing.priority);
+      if (changed) {
+        updates.push(step("update", record, existing));
+      } else {
+        unchanged++;
+      }
+    }
+    for (const record of unmatched) {
+      const existing = remaining.shift();
+      (existing ? updates : creates).push(step(existing ? "update" : "create", record, existing));
+    }
+    remaining.forEach((record) => deletes.push(step("delete", { ...record, name: recordName(record.name) }, record)));
+  }
+
+  // Deletes go first so a name can switch type (say A to CNAME) without a conflict
+  const steps = [...deletes, ...updates, ...creates].map((change, index) => ({ step: index + 1, ...change }));
+  return { steps, unchanged };
+}
+
+const DNS_TTL_RANGE = [60, 604800];
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_LOOKUP_MECHANISMS = ["include", "a", "mx", "ptr", "exists", "redirect"];
+
+function formatWarnings(warnings) {
+  return warnings.length > 0 ? warnings.map((warning) => `Warning: ${warning}`).join("\n") : undefined;
+}
+
+function isHostname(value) {
+  const host = value.replace(/\.$/, "");
+  return host.length > 0 && host.length <= 253 &&
+    host.split(".").every((label) => /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/i.test(label));
+}
+
+// TXT content is either one plain value or a list of quoted strings
+function txtStrings(content) {
+  const value = String(content);
+  return /^\s*"/.test(value) ? tokenizeZoneLine(value).map((token) => token.value) : [value];
+}
+
+function txtValue(content) {
+  return txtStrings(content).join("");
+}
+
+function countSpfLookups(value) {
+  return value.split(/\s+/).filter((term) => {
+    const mechanism = term.replace(/^[+?~-]/, "").split(/[:/=]/)[0].toLowerCase();
+    return SPF_LOOKUP_MECHANISMS.includes(mechanism);
+  }).length;
+}
+
+// Checks a record against the rules for its type before it is sent upstream.
+// `siblings` are the other records that share its name. Returns blocking errors,
+// advisory warnings, and the record as it should be sent (long TXT values split).
+function validateDNSRecord(record, siblings = []) {
+  const errors = [];
+  const warnings = [];
+  const type = String(record.type || "").toUpperCase();
+  const name = recordName(record.name);
+  const content = String(record.content ?? "").trim();
+  const checked = { ...record, type, content };
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  const [minTtl, maxTtl] = DNS_TTL_RANGE;
+  if (record.ttl !== undefined && !inRange(record.ttl, minTtl, maxTtl)) {
+    errors.push(`TTL must be a whole number of seconds between ${minTtl} and ${maxTtl}, got ${record.ttl}`);
+  }
+
+  const nameIsQualified = String(record.name || "").endsWith(".");
+  if (nameIsQualified) {
+    warnings.push(`Name "${record.name}" ends with a dot; names are relative to the domain, so use "@" for the apex or "www" instead of a fully qualified name`);
+  }
+
+  const checkTarget = (target, label) => {
+    if (net.isIP(target)) {
+      errors.push(`${label} must be a hostname, not an IP address (${target}); point it at a name that has an A or AAAA record`);
+    } else if (!isHostname(target)) {
+      errors.push(`${label} "${target}" is not a valid hostname`);
+    } else if (nameIsQualified !== target.endsWith(".")) {
+      warnings.push(nameIsQualified
+        ? `Trailing-dot mismatch: the name is fully qualified but ${label} "${target}" is not; check it points where you intend`
+        : `Trailing-dot mismatch: ${label} "${target}" is fully qualified but the name is relative; check both refer to the hosts you intend`);
+    } else if (!target.includes(".")) {
+      warnings.push(`${label} "${target}" has no dots, so it may be read relative to the domain; use the full hostname, such as "${target}.example.com"`);
+    }
+  };
+
+  const cname = siblings.find((sibling) => String(sibling.type).toUpperCase() === "CNAME");
+  if (type !== "CNAME" && cname) {
+    const cnameId = cname.id !== undefined ? ` (${cname.id})` : "";
+    errors.push(`"${name}" already has a CNAME record${cnameId} and no other record can share its name; delete the CNAME or use another name`);
+  }
+
+  switch (type) {
+    case "A":
+      if (!net.isIPv4(content)) {
+        errors.push(net.isIPv6(content)
+          ? `"${content}" is an IPv6 address; use an AAAA record instead`
+          : `A record content must be an IPv4 address such as 203.0.113.10, got "${content}"`);
+      }
+      break;
+    case "AAAA":
+      if (!net.isIPv6(content)) {
+        errors.push(net.isIPv4(content)
+          ? `"${content}" is an IPv4 address; use an A record instead`
+          : `AAAA record content must be an IPv6 address such as 2001:db8::1, got "${content}"`);
+      }
+      break;
+    case "CNAME":
+      if (name === "@") {
+        errors.push("A CNAME cannot be at the domain apex; use A or AAAA records for the bare domain");
+      } else if (siblings.length > 0) {
+        const others = siblings.map((sibling) => [sibling.type, sibling.id].filter((part) => part !== undefined).join(" ")).join(", ");
+        errors.push(`A CNAME cannot share the name "${name}" with other records (${others}); delete them or use another name`);
+      }
+      checkTarget(content, "CNAME target");
+      break;
+    case "NS":
+      checkTarget(content, "NS target");
+      break;
+    case "MX":
+      if (record.priority === undefined) {
+        errors.push("MX records need a priority between 0 and 65535; pass it as priority, such as 10");
+      } else if (!inRange(record.priority, 0, 65535)) {
+        errors.push(`MX priority must be between 0 and 65535, got ${record.priority}`);
+      }
+      checkTarget(content, "MX target");
+      break;
+    case "SRV": {
+      // Either "weight port target" with a separate priority, or all four in content
+      const fields = content.split(/\s+/);
+      const [priority, weight, port, target] = fields.length === 4
+        ? [Number(fields[0]), ...fields.slice(1, 3).map(Number), fields[3]]
+        : [record.priority, ...fields.slice(0, 2).map(Number), fields[2]];
+      if (fields.length !== 3 && fields.length !== 4) {
+        errors.push('SRV content must be "weight port target" with priority set separately, or "priority weight port target"');
+        break;
+      }
+      if (priority === undefined) {
+        errors.push("SRV records need a priority; pass it as priority or as the first field of content");
+      }
+      for (const [label, value] of [["priority", priority], ["weight", weight], ["port", port]]) {
+        if (value !== undefined && !inRange(value, 0, 65535)) {
+          errors.push(`SRV ${label} must be a whole number between 0 and 65535, got ${value}`);
+        }
+      }
+      if (target !== ".") {
+        checkTarget(target, "SRV target");
+      }
+      if (!/^_[^.]+\._(tcp|udp|tls)(\.|$)/i.test(name)) {
+        warnings.push(`SRV names usually look like "_service._tcp" or "_service._udp", got "${name}"`);
+      }
+      break;
+    }
+    case "TXT": {
+      const strings = txtStrings(content);
+      const tooLong = strings.filter((string) => string.length > 255);
+      if (/^\s*"/.test(content) && tooLong.length > 0) {
+        errors.push(`Each quoted TXT string must be at most 255 characters; split the ${tooLong[0].length}-character string into smaller quoted strings`);
+      } else if (tooLong.length > 0) {
+        checked.content = quoteTxt(content);
+        warnings.push(`TXT value is ${content.length} characters, so it was split into ${Math.ceil(content.length / 255)} strings of at most 255`);
+      }
+
+      const value = strings.join("");
+      if (/^v=spf1(\s|$)/i.test(value)) {
+        const lookups = countSpfLookups(value);
+        if (lookups > SPF_LOOKUP_LIMIT) {
+          warnings.push(`SPF record needs ${lookups} DNS lookups but receivers stop at ${SPF_LOOKUP_LIMIT} and fail the check; flatten some include: entries into ip4:/ip6: ranges`);
+        }
+        if (siblings.some((sibling) => String(sibling.type).toUpperCase() === "TXT" && /^v=spf1(\s|$)/i.test(txtValue(sibling.content)))) {
+          warnings.push(`"${name}" already has an SPF record; more than one makes SPF checks fail, so merge them into one`);
+        }
+      }
+      break;
+    }
+  }
+
+  return { errors, warnings, record: checked };
+}
+
+// Validates records that will exist together, each against the others with its
+// name and against those `existing` records with that name
+function validateDNSRecordSet(records, existing = []) {
+  return records.map((record, i) => {
+    const name = recordName(record.name);
+    const siblings = [...existing, ...records.filter((other, j) => j !== i)]
+      .filter((other) => recordName(other.name) === name);
+    return { input: record, ...validateDNSRecord(record, siblings) };
+  });
+}
+
+function describeInvalidRecord({ input, record, errors }) {
+  return `${record.type} "${recordName(input.name)}" (${input.content}): ${errors.join("; ")}`;
+}
+
+// Records Hostinger mail needs on a domain
+const HOSTINGER_MAIL_MX = [
+  { content: "mx1.hostinger.com", priority: 5 },
+  { content: "mx2.hostinger.com", priority: 10 },
+];
+const HOSTINGER_SPF_INCLUDE = "include:_spf.mail.hostinger.com";
+const DMARC_POLICIES = ["none", "quarantine", "reject"];
+
+function isSpfRecord(value) {
+  return /^v=spf1(\s|$)/i.test(value);
+}
+
+// Merges one or more SPF values into one that includes Hostinger, keeping the
+// other mechanisms in order and the first "all" qualifier (or ~all)
+function mergeSpf(values) {
+  const mechanisms = [];
+  let all = null;
+  for (const value of values) {
+    for (const term of value.split(/\s+/).slice(1)) {
+      if (/^[+?~-]?all$/i.test(term)) {
+        all = all || term;
+      } else if (term && !mechanisms.includes(term)) {
+        mechanisms.push(term);
+      }
+    }
+  }
+  if (!mechanisms.includes(HOSTINGER_SPF_INCLUDE)) {
+    mechanisms.unshift(HOSTINGER_SPF_INCLUDE);
+  }
+  return ["v=spf1", ...mechanisms, all || "~all"].join(" ");
+}
+
+// Summary line for the step a DNS plan stopped at
+function describeFailedStep(step) {
+  return `Step ${step.step} (${step.action} ${step.type} ${step.name}) failed: ${step.error}. Later steps were not run.`;
+}
+
+// Compares a domain's records with what Hostinger mail needs. Returns one check per
+// item (pass, warn or fail) and the DNS steps, in plan_dns_changes form, that fix
+// the failures. dmarcPolicy is only enforced on an existing DMARC record when given.
+function planEmailDNS(records, { dmarcPolicy, dmarcReportEmail, dkim } = {}) {
+  const checks = [];
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+  const at = (name, type) => records.filter((record) =>
+    recordName(record.name) === name && String(record.type).toUpperCase() === type);
+  const host = (content) => String(content).toLowerCase().replace(/\.$/, "");
+  const change = (action, record, existing, reason) => {
+    const list = { create: creates, update: updates, delete: deletes }[action];
+    list.push({
+      action,
+      type: record.type,
+      name: record.name,
+      content: record.content,
+      ttl: record.ttl ?? existing?.ttl,
+      priority: record.priority ?? existing?.priority,
+      record_id: existing?.id,
+      current_content: action === "update" ? existing.content : undefined,
+      reason
+    });
+  };
+
+  // MX: both Hostinger servers with their priorities, and nothing else
+  const mx = at("@", "MX");
+  const mxProblems = [];
+  for (const wanted of HOSTINGER_MAIL_MX) {
+    const existing = mx.find((record) => host(record.content) === wanted.content);
+    if (!existing) {
+      mxProblems.push(`${wanted.content} is missing`);
+      change("create", { type: "MX", name: "@", ...wanted }, null, "Hostinger mail server");
+    } else if (existing.priority !== wanted.priority) {
+      mxProblems.push(`${wanted.content} has priority ${existing.priority ?? "unset"}, expected ${wanted.priority}`);
+      change("update", { type: "MX", name: "@", ...wanted }, existing, "MX priority");
+    }
+  }
+  for (const record of mx.filter((candidate) => !HOSTINGER_MAIL_MX.some((wanted) => wanted.content === host(candidate.content)))) {
+    mxProblems.push(`${record.content} is not a Hostinger mail server`);
+    change("delete", { type: "MX", name: "@", content: record.content }, record, "conflicting MX record");
+  }
+  checks.push({
+    check: "MX",
+    status: mxProblems.length > 0 ? "fail" : "pass",
+    detail: mxProblems.join("; ") || HOSTINGER_MAIL_MX.map(({ content, priority }) => `${content} (${priority})`).join(", ")
+  });
+
+  // SPF: exactly one record at the apex, including Hostinger
+  const spf = at("@", "TXT").filter((record) => isSpfRecord(txtValue(record.content)));
+  if (spf.length === 0) {
+    const content = mergeSpf([]);
+    checks.push({ check: "SPF", status: "fail", detail: "no SPF record" });
+    change("create", { type: "TXT", name: "@", content }, null, "SPF for Hostinger mail");
+  } else {
+    const values = spf.map((record) => txtValue(record.content));
+    const merged = mergeSpf(values);
+    if (spf.length > 1) {
+      checks.push({ check: "SPF", status: "fail", detail: `${spf.length} SPF records; receivers treat more than one as an error, so they will be merged` });
+      change("update", { type: "TXT", name: "@", content: merged }, spf[0], "merged SPF record");
+      spf.slice(1).forEach((record) => change("delete", { type: "TXT", name: "@", content: record.content }, record, "duplicate SPF record"));
+    } else if (!values[0].split(/\s+/).includes(HOSTINGER_SPF_INCLUDE)) {
+      checks.push({ check: "SPF", status: "fail", detail: `does not include ${HOSTINGER_SPF_INCLUDE}` });
+      change("update", { type: "TXT", name: "@", content: merged }, spf[0], "add Hostinger to SPF");
+    } else if (countSpfLookups(values[0]) > SPF_LOOKUP_LIMIT) {
+      checks.push({ check: "SPF", status: "warn", detail: `needs ${countSpfLookups(values[0])} DNS lookups, more than the limit of ${SPF_LOOKUP_LIMIT}` });
+    } else {
+      checks.push({ check: "SPF", status: "pass", detail: values[0] });
+    }
+  }
+
+  // DMARC: one policy record at _dmarc
+  const dmarc = at("_dmarc", "TXT").filter((record) => /^v=DMARC1/i.test(txtValue(record.content)));
+  const report = dmarcReportEmail ? `; rua=mailto:${dmarcReportEmail}` : "";
+  const wantedDmarc = `v=DMARC1; p=${dmarcPolicy || "none"}${report}`;
+  if (dmarc.length === 0) {
+    checks.push({ check: "DMARC", status: "fail", detail: "no DMARC record at _dmarc" });
+    change("create", { type: "TXT", name: "_dmarc", content: wantedDmarc }, null, "DMARC policy");
+  } else {
+    const value = txtValue(dmarc[0].content);
+    const policy = (value.match(/;\s*p=(\w+)/i) || [])[1]?.toLowerCase();
+    dmarc.slice(1).forEach((record) => change("delete", { type: "TXT", name: "_dmarc", content: record.content }, record, "duplicate DMARC record"));
+    if (dmarc.length > 1) {
+      checks.push({ check: "DMARC", status: "fail", detail: `${dmarc.length} DMARC records; only the first is kept` });
+    } else if (dmarcPolicy && policy !== dmarcPolicy) {
+      checks.push({ check: "DMARC", status: "fail", detail: `policy is ${policy || "missing"}, expected ${dmarcPolicy}` });
+    } else if (policy === "none") {
+      checks.push({ check: "DMARC", status: "warn", detail: "p=none only monitors; consider quarantine or reject once reports look clean" });
+    } else {
+      checks.push({ check: "DMARC", status: "pass", detail: value });
+    }
+    if (dmarcPolicy && policy !== dmarcPolicy) {
+      // Change only the policy tag, keeping reporting addresses and other tags
+      let content = policy ? value.replace(/(;\s*p=)\w+/i, `$1${dmarcPolicy}`) : `${value.replace(/;?\s*$/, "")}; p=${dmarcPolicy}`;
+      if (dmarcReportEmail && !/;\s*rua=/i.test(content)) {
+        content += report;
+      }
+      change("update", { type: "TXT", name: "_dmarc", content }, dmarc[0], "DMARC policy");
+    }
+  }
+
+  // DKIM: only when the API tells us the key to publish
+  if (!dkim) {
+    checks.push({ check: "DKIM", status: "warn", detail: "the API does not provide a DKIM key for this domain; check DKIM in hPanel" });
+  } else {
+    const existing = at(dkim.name, dkim.type);
+    const matching = existing.find((record) => txtValue(record.content).replace(/\s+/g, "") === dkim.content.replace(/\s+/g, ""));
+    if (matching) {
+      checks.push({ check: "DKIM", status: "pass", detail: `${dkim.type} at ${dkim.name}` });
+    } else if (existing.length > 0) {
+      checks.push({ check: "DKIM", status: "fail", detail: `${dkim.name} does not match the key Hostinger signs with` });
+      change("update", dkim, existing[0], "DKIM key");
+    } else {
+      checks.push({ check: "DKIM", status: "fail", detail: `no ${dkim.type} record at ${dkim.name}` });
+      change("create", dkim, null, "DKIM key");
+    }
+  }
+
+  const steps = [...deletes, ...updates, ...creates].map((step, index) => ({ step: index + 1, ...step }));
+  return { checks, steps };
+}
 
 class HostingerMCPServer {
   constructor() {
-    this.server = new Server(
+    const { profiles, defaultName } = loadProfiles();
+    this.profiles = profiles;
+    this.defaultProfile = profiles.get(defaultName);
+    this.requestContext = new AsyncLocalStorage();
+
+    this.authTokens = loadAuthTokens();
+    this.policy = loadPolicy();
+    this.prompts = loadPrompts();
+
+    this.requestPolicy = {
+      timeout: readIntEnv("HOSTINGER_TIMEOUT_MS", 30000),
+      maxRetries: readIntEnv("HOSTINGER_MAX_RETRIES", 3),
+      retryBaseMs: readIntEnv("HOSTINGER_RETRY_BASE_MS", 500),
+      retryMaxMs: readIntEnv("HOSTINGER_RETRY_MAX_MS", 10000),
+    };
+    this.circuitPolicy = {
+      threshold: readIntEnv("HOSTINGER_CIRCUIT_THRESHOLD", 5),
+      cooldownMs: readIntEnv("HOSTINGER_CIRCUIT_COOLDOWN_MS", 30000),
+    };
+
+    this.requireConfirmation = process.env.HOSTINGER_REQUIRE_CONFIRMATION === "true";
+    this.confirmationTtlMs = readIntEnv("HOSTINGER_CONFIRMATION_TTL_MS", 5 * 60 * 1000);
+    this.confirmations = new Map();
+
+    // The default sits next to this file, since stdio clients often start the server
+    // from / or another directory it cannot write to
+    this.auditLogPath = process.env.HOSTINGER_AUDIT_LOG
+      || nodePath.join(nodePath.dirname(fileURLToPath(import.meta.url)), "logs", "audit.jsonl");
+    try {
+      fs.mkdirSync(nodePath.dirname(this.auditLogPath), { recursive: true });
+    } catch (error) {
+      console.error(`Failed to create audit log directory, changes will not be logged: ${error.message}`);
+    }
+    this.auditWrites = Promise.resolve();
+
+    this.vpsWaitPolicy = {
+      intervalMs: readIntEnv("HOSTINGER_VPS_POLL_INTERVAL_MS", 2000),
+      maxIntervalMs: readIntEnv("HOSTINGER_VPS_POLL_MAX_INTERVAL_MS", 15000),
+      timeoutSeconds: readIntEnv("HOSTINGER_VPS_WAIT_TIMEOUT_S", 300),
+    };
+    this.monitorPolicy = {
+      intervalMs: readIntEnv("HOSTINGER_MONITOR_INTERVAL_MS", 0),
+      historyMs: readIntEnv("HOSTINGER_MONITOR_HISTORY_HOURS", 168) * 60 * 60 * 1000,
+      thresholds: loadAlertThresholds(),
+      recoveryMargin: readIntEnv("HOSTINGER_ALERT_RECOVERY_MARGIN", 5),
+      webhooks: (process.env.HOSTINGER_ALERT_WEBHOOKS || "").split(",").map((url) => url.trim()).filter(Boolean),
+    };
+    // Usage samples per monitored resource, and every alert still within the history window
+    this.usageHistory = new Map();
+    this.alerts = [];
+
+    // Resource listings used to resolve names to IDs, per account and resource type
+    this.lookupCacheMs = readIntEnv("HOSTINGER_LOOKUP_CACHE_MS", 60000);
+    this.lookupCache = new Map();
+
+    // GET responses per account and endpoint, least recently used first
+    this.cachePolicy = {
+      defaultTtlMs: readIntEnv("HOSTINGER_CACHE_TTL_MS", 60000),
+      ttls: loadCacheTtls(),
+      maxEntries: readIntEnv("HOSTINGER_CACHE_MAX_ENTRIES", 500),
+    };
+    this.responseCache = new Map();
+    this.cacheGeneration = 0;
+
+    this.paginationPolicy = {
+      maxPages: readIntEnv("HOSTINGER_PAGINATION_MAX_PAGES", 50),
+    };
+
+    this.batchPolicy = {
+      maxOperations: readIntEnv("HOSTINGER_BATCH_MAX_OPERATIONS", 100),
+      maxConcurrency: readIntEnv("HOSTINGER_BATCH_MAX_CONCURRENCY", 4),
+    };
+
+    this.sessions = new Map();
+    this.sessionTtlMs = readIntEnv("MCP_SESSION_TTL_MS", 30 * 60 * 1000);
+
+    this.metrics = this.createMetrics();
+    // Last upstream readiness check, shared by /ready callers until it expires
+    this.readyCacheMs = readIntEnv("HOSTINGER_READY_CACHE_MS", 30000);
+    this.readiness = null;
+
+    // Subscribed resource URIs per MCP server instance, each with the last fingerprint seen
+    this.resourceSubscriptions = new Map();
+    this.resourcePoller = setInterval(() => {
+      this.pollResourceSubscriptions().catch(console.error);
+    }, readIntEnv("HOSTINGER_RESOURCE_POLL_MS", 30000));
+    this.resourcePoller.unref();
+
+    this.server = this.createMcpServer({ transport: 'stdio' });
+    this.setupExpressServer();
+  }
+
+  createMcpServer(context = {}) {
+    const server = new Server(
       {
         name: "hostinger-api",
         version: "1.0.0",
@@ -20,19 +2151,66 @@ class HostingerMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
+          prompts: {},
         },
       }
     );
+    this.setupToolHandlers(server, context);
+    this.setupResourceHandlers(server, context);
+    this.setupPromptHandlers(server);
+    return server;
+  }
 
-    this.apiKey = process.env.HOSTINGER_API_KEY;
-    this.baseUrl = process.env.HOSTINGER_BASE_URL || "https://api.hostinger.com";
-    
-    if (!this.apiKey) {
-      throw new Error("HOSTINGER_API_KEY environment variable is required");
+  createMetrics() {
+    const metrics = new MetricsRegistry();
+    metrics.counter("hostinger_mcp_tool_calls_total", "Tool calls by tool and outcome");
+    metrics.histogram("hostinger_mcp_tool_call_duration_seconds", "Tool call duration by tool and outcome", TOOL_DURATION_BUCKETS);
+    metrics.counter("hostinger_api_requests_total", "Hostinger API request attempts by account, method, endpoint and status");
+    metrics.histogram("hostinger_api_request_duration_seconds", "Hostinger API request attempt duration by method and endpoint", UPSTREAM_DURATION_BUCKETS);
+    metrics.counter("hostinger_api_retries_total", "Hostinger API retries by method, endpoint and reason");
+    metrics.counter("hostinger_api_rate_limited_total", "HTTP 429 responses from the Hostinger API by account and endpoint");
+    metrics.counter("hostinger_api_cache_requests_total", "Cacheable Hostinger API reads by result (hit, miss or bypass)");
+    metrics.gauge("hostinger_mcp_active_sessions", "Open MCP sessions by transport", () => {
+      const counts = { http: 0, sse: 0 };
+      for (const session of this.sessions.values()) {
+        counts[session.kind]++;
+      }
+      return Object.entries(counts).map(([transport, value]) => ({ labels: { transport }, value }));
+    });
+    metrics.gauge("hostinger_api_circuit_open", "1 while failing fast for an account after repeated upstream failures", () =>
+      [...this.profiles.values()].map(({ name, circuit }) => ({
+        labels: { account: name },
+        value: circuit.failures >= this.circuitPolicy.threshold && Date.now() < circuit.openedAt + this.circuitPolicy.cooldownMs ? 1 : 0
+      })));
+    return metrics;
+  }
+
+  // Checks every account with a cheap authenticated call; results are cached for
+  // HOSTINGER_READY_CACHE_MS and concurrent probes share one check
+  async checkReadiness() {
+    if (this.readiness && Date.now() < this.readiness.expiresAt) {
+      return await this.readiness.result;
     }
 
-    this.setupToolHandlers();
-    this.setupExpressServer();
+    const result = Promise.all([...this.profiles.values()].map((profile) =>
+      this.requestContext.run({ profile }, async () => {
+        const startedAt = Date.now();
+        try {
+          await this.makeRequest("/v1/account", "GET", null, { timeout: 5000, retries: 0, fresh: true });
+          return { account: profile.name, status: "ok", latency_ms: Date.now() - startedAt };
+        } catch (error) {
+          return { account: profile.name, status: "error", latency_ms: Date.now() - startedAt, error: this.redactSecrets(error.message) };
+        }
+      })
+    )).then((accounts) => ({
+      ready: accounts.every((account) => account.status === "ok"),
+      checked_at: new Date().toISOString(),
+      accounts
+    }));
+
+    this.readiness = { result, expiresAt: Date.now() + this.readyCacheMs };
+    return await result;
   }
 
   setupExpressServer() {
@@ -49,6 +2227,17 @@ class HostingerMCPServer {
       });
     });
 
+    // Readiness: healthy only while every account's API key works upstream
+    this.app.get('/ready', async (req, res) => {
+      const { ready, ...details } = await this.checkReadiness();
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', ...details });
+    });
+
+    // Prometheus scrape endpoint
+    this.app.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4').send(this.metrics.render());
+    });
+
     // Root endpoint for basic info
     this.app.get('/', (req, res) => {
       res.json({
@@ -57,88 +2246,452 @@ class HostingerMCPServer {
         description: 'Hostinger MCP Server for API integration',
         endpoints: {
           health: '/health',
-          mcp: '/mcp'
+          ready: '/ready',
+          metrics: '/metrics',
+          mcp: '/mcp',
+          sse: '/sse',
+          audit: '/audit'
         }
       });
     });
 
-    // SSE endpoint for MCP communication
-    this.app.get('/sse', async (req, res) => {
-      const transport = new SSEServerTransport('/sse', res);
-      await this.server.connect(transport);
-    });
+    const authenticate = this.authenticate.bind(this);
+
+    // Streamable HTTP endpoint for MCP communication
+    this.app.post('/mcp', authenticate, async (req, res) => {
+      const isBatch = Array.isArray(req.body);
+      const messages = isBatch ? req.body : [req.body];
+
+      if (messages.length === 0 || messages.some((message) => !message || message.jsonrpc !== "2.0")) {
+        return res.status(400).json(jsonRpcError(-32600, "Invalid Request"));
+      }
+
+      try {
+        const isInitialize = messages.some((message) => message.method === "initialize");
+        if (isInitialize) {
+          if (messages.length > 1) {
+            return res.status(400).json(jsonRpcError(-32600, "Invalid Request: initialize must not be batched"));
+          }
+
+          const transport = new StreamableHTTPServerTransport(crypto.randomUUID());
+          const server = this.createMcpServer({ caller: req.caller, transport: 'http' });
+          this.openSession(transport, server, req.caller);
+          await server.connect(transport);
+          return await transport.handlePost(req, res, messages, isBatch);
+        }
+
+        const session = this.findSession(req, res, req.get('Mcp-Session-Id'));
+        if (session) {
+          await session.transport.handlePost(req, res, messages, isBatch);
+        }
+      } catch (error) {
+        if (!res.headersSent) {
+          res.status(500).json({
+            jsonrpc: "2.0",
+            error: {
+              code: -32603,
+              message: "Internal error",
+              data: error.message
+            },
+            id: null
+          });
+        }
+      }
+    });
+
+    // Server-to-client SSE stream for an existing session
+    this.app.get('/mcp', authenticate, (req, res) => {
+      const session = this.findSession(req, res, req.get('Mcp-Session-Id'));
+      if (session) {
+        session.transport.handleGet(req, res);
+      }
+    });
+
+    // Explicit session termination
+    this.app.delete('/mcp', authenticate, async (req, res) => {
+      const session = this.findSession(req, res, req.get('Mcp-Session-Id'));
+      if (session) {
+        await session.server.close();
+        res.status(204).end();
+      }
+    });
+
+    // Legacy HTTP+SSE transport: GET opens the stream, POST /messages carries client messages
+    this.app.get('/sse', authenticate, async (req, res) => {
+      const transport = new SSEServerTransport('/messages', res);
+      const server = this.createMcpServer({ caller: req.caller, transport: 'sse' });
+      this.openSession(transport, server, req.caller);
+      await server.connect(transport);
+    });
+
+    this.app.post('/messages', authenticate, async (req, res) => {
+      const session = this.findSession(req, res, req.query.sessionId);
+      if (!session) {
+        return;
+      }
+      try {
+        await session.transport.handleMessage(req.body);
+        res.status(202).end('Accepted');
+      } catch (error) {
+        res.status(400).json(jsonRpcError(-32600, `Invalid message: ${error.message}`));
+      }
+    });
+
+    // Audit log query, e.g. /audit?tool=delete_dns_record&resource_id=123&since=2024-01-01
+    this.app.get('/audit', authenticate, async (req, res) => {
+      try {
+        const { tool, resource_id, account, since, until, limit } = req.query;
+        const entries = await this.queryAuditLog({ tool, resource_id, account, since, until });
+        res.json({ total: entries.length, entries: entries.slice(0, parseInt(limit, 10) || 100) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Malformed JSON bodies get a JSON-RPC parse error instead of Express's HTML page
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json(jsonRpcError(-32700, "Parse error"));
+      }
+      next(error);
+    });
+
+    // Drop sessions whose clients went away without closing them. A session with an open
+    // stream is still connected, however quiet; its disconnect closes it via res "close".
+    this.sessionSweeper = setInterval(() => {
+      const cutoff = Date.now() - this.sessionTtlMs;
+      for (const session of this.sessions.values()) {
+        if (session.lastActivity < cutoff && !this.hasOpenStream(session)) {
+          session.server.close().catch(console.error);
+        }
+      }
+    }, Math.min(this.sessionTtlMs, 60 * 1000));
+    this.sessionSweeper.unref();
+
+    if (this.authTokens.length === 0) {
+      console.error("Warning: no MCP auth tokens configured; /mcp and /sse are open to anyone who can reach this port");
+    }
+
+    const port = process.env.PORT || 3000;
+    this.httpServer = this.app.listen(port, () => {
+      console.error(`Hostinger MCP server listening on port ${port}`);
+      console.error(`Health check: http://localhost:${port}/health`);
+      console.error(`MCP endpoint: http://localhost:${port}/mcp`);
+    });
+  }
+
+  openSession(transport, server, caller) {
+    const kind = transport instanceof SSEServerTransport ? 'sse' : 'http';
+    const session = { transport, server, caller, kind, lastActivity: Date.now() };
+    this.sessions.set(transport.sessionId, session);
+    server.onclose = () => {
+      this.sessions.delete(transport.sessionId);
+      this.resourceSubscriptions.delete(server);
+    };
+    return session;
+  }
+
+  hasOpenStream({ kind, transport }) {
+    // A /sse session ends when its stream closes, so while it exists the stream is open
+    if (kind === 'sse') {
+      return true;
+    }
+    return Boolean(transport.standaloneStream) || transport.activeStreams.size > 0;
+  }
+
+  findSession(req, res, sessionId) {
+    if (!sessionId) {
+      res.status(400).json(jsonRpcError(-32000, "Bad Request: missing session ID"));
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      res.status(404).json(jsonRpcError(-32001, "Session not found"));
+      return null;
+    }
+
+    // Sessions belong to the token that opened them
+    if ((session.caller && session.caller.name) !== (req.caller && req.caller.name)) {
+      res.status(403).json(jsonRpcError(-32001, "Forbidden: session belongs to another caller"));
+      return null;
+    }
+
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  authenticate(req, res, next) {
+    if (this.authTokens.length === 0) {
+      req.caller = null;
+      return next();
+    }
+
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const presented = hashToken(match ? match[1].trim() : '');
+
+    // Compare against every token so timing does not reveal which one matched
+    let caller = null;
+    for (const entry of this.authTokens) {
+      if (crypto.timingSafeEqual(presented, entry.hash) && !caller) {
+        caller = { name: entry.name, scope: entry.scope };
+      }
+    }
+
+    if (!match || !caller) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json(jsonRpcError(-32001, "Unauthorized", (req.body && req.body.id) || null));
+    }
+
+    req.caller = caller;
+    next();
+  }
+
+  async handleListTools(caller = null) {
+    const { tools } = await this.listAllTools();
+    const allowed = tools.filter((tool) => this.toolAllowed(tool.name));
+    if (caller && caller.scope === "read") {
+      return { tools: allowed.filter((tool) => !MUTATING_TOOLS.has(tool.name)) };
+    }
+    return { tools: allowed };
+  }
+
+  // Server-wide policy; token scopes are checked separately
+  toolAllowed(name) {
+    const { readOnly, allow, deny } = this.policy;
+    if (readOnly && MUTATING_TOOLS.has(name)) {
+      return false;
+    }
+    if (allow && !allow.some((pattern) => pattern.test(name))) {
+      return false;
+    }
+    return !deny.some((pattern) => pattern.test(name));
+  }
+
+  resourceAllowed(type, id) {
+    const patterns = this.policy.resources[type];
+    return !patterns || patterns.some((pattern) => pattern.test(String(id)));
+  }
+
+  checkResourceAllowed(type, id) {
+    if (!this.resourceAllowed(type, id)) {
+      throw new Error(`${POLICY_RESOURCES[type].label} ${id} is not allowed by the server policy`);
+    }
+  }
+
+  // vps_id, domain_id, account_id and resource_id may give a name instead of an ID
+  async resolveResourceArguments(args) {
+    const resolved = { ...args };
+    for (const [type, { arguments: names }] of Object.entries(POLICY_RESOURCES)) {
+      for (const name of names) {
+        if (typeof args[name] === "string") {
+          resolved[name] = await this.resolveResource(type, args[name]);
+        }
+      }
+    }
+    if (POLICY_RESOURCES[args.resource_type] && typeof args.resource_id === "string") {
+      resolved.resource_id = await this.resolveResource(args.resource_type, args.resource_id);
+    }
+    return resolved;
+  }
+
+  // An ID of a listed resource is used as-is, otherwise the value must match exactly one
+  // resource's name (domain, hostname or IP). Values that match nothing and do not look
+  // like names are passed through as IDs, since the listing may not include everything.
+  async resolveResource(type, value) {
+    const { label, noun } = POLICY_RESOURCES[type];
+    const looksLikeName = /[.:]/.test(value);
+    const wanted = normalizeName(value);
+
+    let refresh = false;
+    while (true) {
+      let items;
+      let cached;
+      try {
+        ({ items, cached } = await this.lookupResources(type, refresh));
+      } catch (error) {
+        if (!looksLikeName) {
+          return value;
+        }
+        throw new Error(`Could not look up ${noun} "${value}": ${error.message}`);
+      }
+
+      if (items.some((item) => String(item.id) === value)) {
+        return value;
+      }
+      const names = (item) => RESOURCE_NAMES[type](item).filter((name) => name !== undefined && name !== null && name !== "");
+      const describe = (item) => `${item.id} (${[...new Set(names(item))].join(", ")})`;
+      const matches = items.filter((item) => names(item).some((name) => normalizeName(name) === wanted));
+
+      if (matches.length === 1) {
+        return String(matches[0].id);
+      }
+      if (matches.length > 1) {
+        throw new Error(`${label} "${value}" is ambiguous; it matches ${matches.map(describe).join(", ")}. Pass the ID instead`);
+      }
+      // The resource may be newer than the cached listing
+      if (cached) {
+        refresh = true;
+        continue;
+      }
+      if (!looksLikeName) {
+        return value;
+      }
+      const similar = items.filter((item) => names(item).some((name) => {
+        const candidate = normalizeName(name);
+        return candidate.includes(wanted) || wanted.includes(candidate);
+      }));
+      throw new Error(similar.length > 0
+        ? `Unknown ${noun} "${value}"; similar: ${similar.slice(0, 5).map(describe).join(", ")}`
+        : `Unknown ${noun} "${value}"; no ${noun} has that name or ID`);
+    }
+  }
+
+  async lookupResources(type, refresh = false) {
+    const key = `${this.currentProfile().name}:${type}`;
+    const entry = this.lookupCache.get(key);
+    if (entry && !refresh && Date.now() < entry.expiresAt) {
+      return { items: await entry.items, cached: true };
+    }
 
-    // MCP endpoint for JSON-RPC communication
-    this.app.post('/mcp', async (req, res) => {
-      try {
-        const request = req.body;
-        
-        // Validate JSON-RPC format
-        if (!request.jsonrpc || request.jsonrpc !== "2.0") {
-          return res.status(400).json({
-            jsonrpc: "2.0",
-            error: {
-              code: -32600,
-              message: "Invalid Request"
-            },
-            id: request.id || null
-          });
-        }
+    // A refresh looks for resources newer than the listing, so it must skip the response cache too
+    const items = this.fetchList(`/v1/${type}`, { all: true }, {}, { fresh: refresh }).then((list) => list.items);
+    this.lookupCache.set(key, { items, expiresAt: Date.now() + this.lookupCacheMs });
+    items.catch(() => this.lookupCache.delete(key));
+    // Without a refresh the listing may still have come from the response cache
+    return { items: await items, cached: !refresh };
+  }
 
-        let response;
-        
-        if (request.method === "tools/list") {
-          response = await this.handleListTools();
-        } else if (request.method === "tools/call") {
-          response = await this.handleCallTool(request.params);
-        } else {
-          return res.status(400).json({
-            jsonrpc: "2.0",
-            error: {
-              code: -32601,
-              message: "Method not found"
-            },
-            id: request.id
-          });
+  // Rejects a call early when its arguments name a restricted resource
+  checkArgumentResources(args) {
+    for (const [type, { arguments: names }] of Object.entries(POLICY_RESOURCES)) {
+      for (const name of names) {
+        if (args[name] !== undefined) {
+          this.checkResourceAllowed(type, args[name]);
         }
+      }
+    }
+    if (args.resource_type && args.resource_id !== undefined) {
+      this.checkResourceAllowed(args.resource_type, args.resource_id);
+    }
+  }
 
-        res.json({
-          jsonrpc: "2.0",
-          result: response,
-          id: request.id
-        });
+  // Every upstream request is checked too, so tools, resources, prompts' tool calls
+  // and the usage monitor cannot reach a restricted resource by another route
+  checkEndpointResources(endpoint) {
+    const segments = endpoint.split("?")[0].split("/");
+    for (let i = 2; i < segments.length - 1; i++) {
+      if (segments[i - 1] === "v1" && POLICY_RESOURCES[segments[i]]) {
+        this.checkResourceAllowed(segments[i], decodeURIComponent(segments[i + 1]));
+      }
+    }
+  }
 
-      } catch (error) {
-        res.status(500).json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32603,
-            message: "Internal error",
-            data: error.message
-          },
-          id: req.body.id || null
-        });
+  // Drops restricted resources from collection listings such as GET /v1/vps
+  filterAllowedResources(endpoint, result) {
+    const [, version, type, ...rest] = endpoint.split("?")[0].split("/");
+    if (version !== "v1" || rest.length > 0 || !this.policy.resources[type]) {
+      return result;
+    }
+    const allowed = toList(result).filter((item) => this.resourceAllowed(type, item.id));
+    return Array.isArray(result) ? allowed : { ...result, data: allowed };
+  }
+
+  // Certificates live under /v1/ssl rather than their domain, so with domains restricted
+  // each one is matched to an allowed domain by domain_id, or by name against the domain
+  // listing. Certificates that match no allowed domain are left out or refused.
+  async filterAllowedCertificates(endpoint, result) {
+    const [, version, type, ...rest] = endpoint.split("?")[0].split("/");
+    if (version !== "v1" || type !== "ssl" || rest.length > 1 || !this.policy.resources.domains) {
+      return result;
+    }
+
+    // The listing itself is already filtered down to allowed domains
+    const { items: domains } = await this.lookupResources("domains");
+    const domainNames = domains.flatMap((domain) => RESOURCE_NAMES.domains(domain).filter(Boolean).map(normalizeName));
+    const allowed = (certificate) => {
+      if (certificate.domain_id !== undefined && certificate.domain_id !== null) {
+        return this.resourceAllowed("domains", certificate.domain_id);
       }
-    });
+      const name = certificate.domain ?? certificate.common_name;
+      if (!name) {
+        return false;
+      }
+      const wanted = normalizeName(name).replace(/^\*\./, "");
+      return domainNames.some((domainName) => wanted === domainName || wanted.endsWith(`.${domainName}`));
+    };
 
-    const port = process.env.PORT || 3000;
-    this.httpServer = this.app.listen(port, () => {
-      console.error(`Hostinger MCP server listening on port ${port}`);
-      console.error(`Health check: http://localhost:${port}/health`);
-      console.error(`MCP endpoint: http://localhost:${port}/mcp`);
-    });
+    if (rest.length === 1) {
+      if (!allowed(result.data || result)) {
+        throw new Error(`SSL certificate ${decodeURIComponent(rest[0])} is not allowed by the server policy`);
+      }
+      return result;
+    }
+    const certificates = toList(result).filter(allowed);
+    return Array.isArray(result) ? certificates : { ...result, data: certificates };
   }
 
-  async handleListTools() {
+  async listAllTools() {
     return {
       tools: [
+        // Account profiles
+        {
+          name: "list_accounts",
+          description: "List the Hostinger account profiles this server can use",
+          inputSchema: {
+            type: "object",
+            properties: {},
+          }
+        },
+        {
+          name: "list_all_vps",
+          description: "List VPS instances across every account profile",
+          inputSchema: {
+            type: "object",
+            properties: listProperties("vps", { paginated: false }),
+          }
+        },
+        {
+          name: "list_all_domains",
+          description: "List domains across every account profile",
+          inputSchema: {
+            type: "object",
+            properties: listProperties("domains", { paginated: false }),
+          }
+        },
+        {
+          name: "list_all_hosting_accounts",
+          description: "List hosting accounts across every account profile",
+          inputSchema: {
+            type: "object",
+            properties: listProperties("hosting", { paginated: false }),
+          }
+        },
+
+        // Audit log
+        {
+          name: "get_audit_log",
+          description: "Query the audit log of changes this server made through the Hostinger API, newest first",
+          inputSchema: {
+            type: "object",
+            properties: {
+              tool: { type: "string", description: "Only entries made by this tool" },
+              resource_id: { type: "string", description: "Only entries that touched this resource ID (VPS, domain, record, ...)" },
+              account: { type: "string", description: "Only entries for this account profile" },
+              since: { type: "string", description: "Only entries at or after this time (ISO 8601)" },
+              until: { type: "string", description: "Only entries at or before this time (ISO 8601)" }
+            },
+          }
+        },
+
         // VPS Management
         {
           name: "list_vps",
-          description: "List all VPS instances",
+          description: "List VPS instances, one page at a time unless all is set",
           inputSchema: {
             type: "object",
-            properties: {},
+            properties: listProperties("vps"),
           }
         },
         {
@@ -147,7 +2700,7 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              vps_id: { type: "string", description: "VPS ID" }
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" }
             },
             required: ["vps_id"]
           }
@@ -158,7 +2711,9 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              vps_id: { type: "string", description: "VPS ID" }
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" },
+              wait: { type: "boolean", description: "Wait until the VPS reaches the new state before returning" },
+              timeout_seconds: { type: "integer", description: "How long to wait when wait is true (default: 300)" }
             },
             required: ["vps_id"]
           }
@@ -169,7 +2724,11 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              vps_id: { type: "string", description: "VPS ID" }
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" },
+              wait: { type: "boolean", description: "Wait until the VPS reaches the new state before returning" },
+              timeout_seconds: { type: "integer", description: "How long to wait when wait is true (default: 300)" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
             },
             required: ["vps_id"]
           }
@@ -180,18 +2739,35 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              vps_id: { type: "string", description: "VPS ID" }
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" },
+              wait: { type: "boolean", description: "Wait until the VPS reaches the new state before returning" },
+              timeout_seconds: { type: "integer", description: "How long to wait when wait is true (default: 300)" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
             },
             required: ["vps_id"]
           }
         },
+        {
+          name: "wait_for_vps_state",
+          description: "Wait until a VPS reaches a state such as running or stopped, reporting progress while polling",
+          inputSchema: {
+            type: "object",
+            properties: {
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" },
+              state: { type: "string", description: "State to wait for, e.g. running or stopped" },
+              timeout_seconds: { type: "integer", description: "Give up after this many seconds (default: 300)" }
+            },
+            required: ["vps_id", "state"]
+          }
+        },
         {
           name: "get_vps_usage",
           description: "Get resource usage statistics for a VPS",
           inputSchema: {
             type: "object",
             properties: {
-              vps_id: { type: "string", description: "VPS ID" },
+              vps_id: { type: "string", description: "VPS ID, hostname or IP address" },
               period: { 
                 type: "string", 
                 description: "Time period for statistics",
@@ -205,10 +2781,10 @@ class HostingerMCPServer {
         // Domain Management
         {
           name: "list_domains",
-          description: "List all domains",
+          description: "List domains, one page at a time unless all is set",
           inputSchema: {
             type: "object",
-            properties: {},
+            properties: listProperties("domains"),
           }
         },
         {
@@ -217,7 +2793,7 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" }
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" }
             },
             required: ["domain_id"]
           }
@@ -228,7 +2804,7 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" }
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" }
             },
             required: ["domain_id"]
           }
@@ -239,7 +2815,7 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" },
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
               type: { 
                 type: "string", 
                 description: "DNS record type",
@@ -259,7 +2835,7 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" },
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
               record_id: { type: "string", description: "DNS record ID" },
               type: { 
                 type: "string", 
@@ -269,7 +2845,9 @@ class HostingerMCPServer {
               name: { type: "string", description: "Record name" },
               content: { type: "string", description: "Record content/value" },
               ttl: { type: "number", description: "Time to live (seconds)" },
-              priority: { type: "number", description: "Priority (for MX records)" }
+              priority: { type: "number", description: "Priority (for MX records)" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
             },
             required: ["domain_id", "record_id"]
           }
@@ -280,171 +2858,832 @@ class HostingerMCPServer {
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" },
-              record_id: { type: "string", description: "DNS record ID" }
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              record_id: { type: "string", description: "DNS record ID" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
             },
             required: ["domain_id", "record_id"]
           }
         },
+        {
+          name: "plan_dns_changes",
+          description: "Compare a desired-state DNS document (JSON or YAML) with a domain's records and list the creates, updates and deletes needed",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              document: { type: "string", description: "JSON or YAML: a list of records, or { records: [...] }, each with type, name, content and optional ttl and priority" },
+              protect_unlisted: { type: "boolean", description: "Keep records whose type and name do not appear in the document (default: false)" }
+            },
+            required: ["domain_id", "document"]
+          }
+        },
+        {
+          name: "apply_dns_plan",
+          description: "Apply the plan from plan_dns_changes, stopping at the first failed step",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              document: { type: "string", description: "JSON or YAML: a list of records, or { records: [...] }, each with type, name, content and optional ttl and priority" },
+              protect_unlisted: { type: "boolean", description: "Keep records whose type and name do not appear in the document (default: false)" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
+            },
+            required: ["domain_id", "document"]
+          }
+        },
+        {
+          name: "export_dns_zone",
+          description: "Export a domain's DNS records as a BIND zone file",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" }
+            },
+            required: ["domain_id"]
+          }
+        },
+        {
+          name: "import_dns_zone",
+          description: "Import DNS records from a BIND zone file. Shows a preview unless apply is true",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              zone_file: { type: "string", description: "Zone file contents" },
+              apply: { type: "boolean", description: "Create the records instead of previewing them (default: false)" }
+            },
+            required: ["domain_id", "zone_file"]
+          }
+        },
+
+        // Hosting Account Management
+        {
+          name: "list_hosting_accounts",
+          description: "List hosting accounts, one page at a time unless all is set",
+          inputSchema: {
+            type: "object",
+            properties: listProperties("hosting"),
+          }
+        },
+        {
+          name: "get_hosting_account",
+          description: "Get details of a specific hosting account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              account_id: { type: "string", description: "Hosting account ID or primary domain" }
+            },
+            required: ["account_id"]
+          }
+        },
+        {
+          name: "get_hosting_usage",
+          description: "Get resource usage for a hosting account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              account_id: { type: "string", description: "Hosting account ID or primary domain" }
+            },
+            required: ["account_id"]
+          }
+        },
+
+        // Email Management
+        {
+          name: "list_email_accounts",
+          description: "List email accounts for a domain",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              ...listProperties("email")
+            },
+            required: ["domain_id"]
+          }
+        },
+        {
+          name: "create_email_account",
+          description: "Create a new email account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              email: { type: "string", description: "Email address" },
+              password: { type: "string", description: "Password" },
+              quota: { type: "number", description: "Quota in MB" }
+            },
+            required: ["domain_id", "email", "password"]
+          }
+        },
+        {
+          name: "delete_email_account",
+          description: "Delete an email account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              email: { type: "string", description: "Email address" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
+            },
+            required: ["domain_id", "email"]
+          }
+        },
+        {
+          name: "check_email_dns",
+          description: "Check a domain's MX, SPF, DKIM and DMARC records against what Hostinger mail needs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              dmarc_policy: { type: "string", enum: DMARC_POLICIES, description: "Also require this DMARC policy" }
+            },
+            required: ["domain_id"]
+          }
+        },
+        {
+          name: "configure_email_dns",
+          description: "Create or fix the MX, SPF, DKIM and DMARC records Hostinger mail needs. Use dry_run to preview",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              dmarc_policy: { type: "string", enum: DMARC_POLICIES, description: "DMARC policy to publish (default: none for a new record, existing policy kept otherwise)" },
+              dmarc_report_email: { type: "string", description: "Address for DMARC aggregate reports (rua)" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
+            },
+            required: ["domain_id"]
+          }
+        },
+
+        // SSL Certificate Management
+        {
+          name: "list_ssl_certificates",
+          description: "List SSL certificates, optionally for a single domain or hosting account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              account_id: { type: "string", description: "Hosting account ID or primary domain" },
+              ...listProperties("ssl")
+            },
+          }
+        },
+        {
+          name: "get_ssl_certificate",
+          description: "Get details of a specific SSL certificate, including issuer and expiry",
+          inputSchema: {
+            type: "object",
+            properties: {
+              certificate_id: { type: "string", description: "SSL certificate ID" }
+            },
+            required: ["certificate_id"]
+          }
+        },
+        {
+          name: "create_ssl_certificate",
+          description: "Order a Let's Encrypt or paid SSL certificate for a domain",
+          inputSchema: {
+            type: "object",
+            properties: {
+              domain_id: { type: "string", description: "Domain ID or domain name, such as example.com" },
+              type: {
+                type: "string",
+                description: "Certificate type",
+                enum: ["lets_encrypt", "paid"]
+              },
+              product: { type: "string", description: "Paid certificate product (for paid certificates)" },
+              period: { type: "number", description: "Validity period in years (for paid certificates)" }
+            },
+            required: ["domain_id", "type"]
+          }
+        },
+        {
+          name: "list_expiring_ssl_certificates",
+          description: "List SSL certificates expiring within a number of days",
+          inputSchema: {
+            type: "object",
+            properties: {
+              days: { type: "number", description: "Expiry window in days (default: 30)" }
+            },
+          }
+        },
+
+        // Backup Management
+        {
+          name: "list_backups",
+          description: "List backups for a VPS or hosting account, with timestamps and sizes",
+          inputSchema: {
+            type: "object",
+            properties: {
+              resource_type: {
+                type: "string",
+                description: "Type of resource the backups belong to",
+                enum: ["vps", "hosting"]
+              },
+              resource_id: { type: "string", description: "VPS ID, hostname or IP, or hosting account ID or primary domain" },
+              ...listProperties("backups")
+            },
+            required: ["resource_type", "resource_id"]
+          }
+        },
+        {
+          name: "create_backup",
+          description: "Create a manual backup of a VPS or hosting account",
+          inputSchema: {
+            type: "object",
+            properties: {
+              resource_type: {
+                type: "string",
+                description: "Type of resource to back up",
+                enum: ["vps", "hosting"]
+              },
+              resource_id: { type: "string", description: "VPS ID, hostname or IP, or hosting account ID or primary domain" }
+            },
+            required: ["resource_type", "resource_id"]
+          }
+        },
+        {
+          name: "restore_backup",
+          description: "Restore a VPS or hosting account from a backup. This overwrites live data; use dry_run to preview",
+          inputSchema: {
+            type: "object",
+            properties: {
+              resource_type: {
+                type: "string",
+                description: "Type of resource to restore",
+                enum: ["vps", "hosting"]
+              },
+              resource_id: { type: "string", description: "VPS ID, hostname or IP, or hosting account ID or primary domain" },
+              backup_id: { type: "string", description: "Backup ID" },
+              dry_run: { type: "boolean", description: "Preview the change without applying it" },
+              confirm: { type: "string", description: "Confirmation token returned by a previous dry run" }
+            },
+            required: ["resource_type", "resource_id", "backup_id"]
+          }
+        },
 
-        // Hosting Account Management
+        // Account Information
         {
-          name: "list_hosting_accounts",
-          description: "List all hosting accounts",
+          name: "get_account_info",
+          description: "Get account information and balance",
           inputSchema: {
             type: "object",
             properties: {},
           }
         },
         {
-          name: "get_hosting_account",
-          description: "Get details of a specific hosting account",
+          name: "get_invoices",
+          description: "List invoices, optionally filtered by date range and status",
           inputSchema: {
             type: "object",
             properties: {
-              account_id: { type: "string", description: "Hosting account ID" }
+              from: { type: "string", description: "Only invoices issued on or after this date (YYYY-MM-DD)" },
+              to: { type: "string", description: "Only invoices issued on or before this date (YYYY-MM-DD)" },
+              status: {
+                type: "string",
+                description: "Invoice status",
+                enum: ["paid", "unpaid", "overdue", "refunded", "cancelled"]
+              },
+              ...listProperties("invoices")
             },
-            required: ["account_id"]
           }
         },
         {
-          name: "get_hosting_usage",
-          description: "Get resource usage for a hosting account",
+          name: "get_invoice",
+          description: "Get details of a specific invoice",
           inputSchema: {
             type: "object",
             properties: {
-              account_id: { type: "string", description: "Hosting account ID" }
+              invoice_id: { type: "string", description: "Invoice ID" }
             },
-            required: ["account_id"]
+            required: ["invoice_id"]
           }
         },
-
-        // Email Management
         {
-          name: "list_email_accounts",
-          description: "List email accounts for a domain",
+          name: "list_subscriptions",
+          description: "List active subscriptions with their renewal dates and prices",
+          inputSchema: {
+            type: "object",
+            properties: listProperties("subscriptions"),
+          }
+        },
+        {
+          name: "get_renewal_summary",
+          description: "Summarize subscriptions renewing within a number of days and their total cost",
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" }
+              days: { type: "number", description: "Renewal window in days, e.g. 30 or 90 (default: 30)" }
             },
-            required: ["domain_id"]
           }
         },
+        // Usage monitoring
         {
-          name: "create_email_account",
-          description: "Create a new email account",
+          name: "list_alerts",
+          description: "List usage alerts raised by the background monitor across all accounts",
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" },
-              email: { type: "string", description: "Email address" },
-              password: { type: "string", description: "Password" },
-              quota: { type: "number", description: "Quota in MB" }
+              status: { type: "string", enum: ALERT_STATUSES, description: "Which alerts to list (default: active)" }
             },
-            required: ["domain_id", "email", "password"]
           }
         },
         {
-          name: "delete_email_account",
-          description: "Delete an email account",
+          name: "get_usage_history",
+          description: "Get recent usage samples recorded by the background monitor for a VPS or hosting account, with the trend per metric",
           inputSchema: {
             type: "object",
             properties: {
-              domain_id: { type: "string", description: "Domain ID" },
-              email: { type: "string", description: "Email address" }
+              resource_type: { type: "string", enum: MONITORED_RESOURCE_TYPES, description: "Kind of resource" },
+              resource_id: { type: "string", description: "VPS ID, hostname or IP, or hosting account ID or primary domain" },
+              hours: { type: "number", description: "How far back to look (default: all recorded history)" }
             },
-            required: ["domain_id", "email"]
+            required: ["resource_type", "resource_id"]
           }
         },
-
-        // Account Information
+        // Batch operations
         {
-          name: "get_account_info",
-          description: "Get account information and balance",
+          name: "batch",
+          description: "Run many tool calls in one request and return a result per operation",
           inputSchema: {
             type: "object",
-            properties: {},
+            properties: {
+              operations: {
+                type: "array",
+                description: "Operations to run, each { tool, arguments }",
+                items: { type: "object" }
+              },
+              concurrency: { type: "integer", description: "Operations to run at once (default: 1, capped by the server)" },
+              on_error: { type: "string", enum: BATCH_ERROR_MODES, description: "Stop at the first failed operation or continue with the rest (default: stop)" }
+            },
+            required: ["operations"]
           }
         }
-      ]
+      ].map(withCommonProperties)
+    };
+  }
+
+  async handleCallTool(params, context = {}) {
+    const startedAt = Date.now();
+    const result = await this.executeToolCall(params, context);
+
+    // Unknown names are grouped so clients cannot create unbounded label values
+    const { tools } = await this.listAllTools();
+    const labels = {
+      tool: tools.some((tool) => tool.name === params.name) ? params.name : "unknown",
+      outcome: result.isError ? "error" : "success"
     };
+    this.metrics.inc("hostinger_mcp_tool_calls_total", labels);
+    this.metrics.observe("hostinger_mcp_tool_call_duration_seconds", labels, (Date.now() - startedAt) / 1000);
+    return result;
   }
 
-  async handleCallTool(params) {
-    const { name, arguments: args } = params;
+  async executeToolCall(params, context = {}) {
+    const { name } = params;
+    const { caller = null, transport = null, signal = null, reportProgress = () => {} } = context;
+    let args = params.arguments || {};
 
     try {
-      switch (name) {
-        // VPS operations
-        case "list_vps":
-          return await this.listVPS();
-        case "get_vps":
-          return await this.getVPS(args.vps_id);
-        case "start_vps":
-          return await this.startVPS(args.vps_id);
-        case "stop_vps":
-          return await this.stopVPS(args.vps_id);
-        case "restart_vps":
-          return await this.restartVPS(args.vps_id);
-        case "get_vps_usage":
-          return await this.getVPSUsage(args.vps_id, args.period);
-
-        // Domain operations
-        case "list_domains":
-          return await this.listDomains();
-        case "get_domain":
-          return await this.getDomain(args.domain_id);
-        case "get_domain_dns":
-          return await this.getDomainDNS(args.domain_id);
-        case "create_dns_record":
-          return await this.createDNSRecord(args);
-        case "update_dns_record":
-          return await this.updateDNSRecord(args);
-        case "delete_dns_record":
-          return await this.deleteDNSRecord(args.domain_id, args.record_id);
-
-        // Hosting operations
-        case "list_hosting_accounts":
-          return await this.listHostingAccounts();
-        case "get_hosting_account":
-          return await this.getHostingAccount(args.account_id);
-        case "get_hosting_usage":
-          return await this.getHostingUsage(args.account_id);
-
-        // Email operations
-        case "list_email_accounts":
-          return await this.listEmailAccounts(args.domain_id);
-        case "create_email_account":
-          return await this.createEmailAccount(args);
-        case "delete_email_account":
-          return await this.deleteEmailAccount(args.domain_id, args.email);
-
-        // Account operations
-        case "get_account_info":
-          return await this.getAccountInfo();
-
-        default:
-          throw new Error(`Unknown tool: ${name}`);
+      const { tools } = await this.listAllTools();
+      const tool = tools.find((candidate) => candidate.name === name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      const errors = validateArguments(tool.inputSchema, args);
+      if (errors.length > 0) {
+        throw new Error(`Invalid arguments for ${name}: ${errors.join("; ")}`);
+      }
+
+      if (!this.toolAllowed(name)) {
+        throw new Error(`Tool ${name} is disabled by the server policy`);
+      }
+
+      if (caller && caller.scope === "read" && MUTATING_TOOLS.has(name)) {
+        throw new Error(`Token "${caller.name}" has read-only scope and cannot call ${name}`);
       }
+
+      const { format, fields, limit, account, fresh, ...toolArgs } = args;
+      const outputOptions = { format, fields, limit };
+      // Cross-account tools pick no profile; an account they declare is their own argument, e.g. a filter
+      const crossAccount = CROSS_ACCOUNT_TOOLS.has(name);
+      const profile = this.resolveProfile(crossAccount ? undefined : account);
+      args = crossAccount && account !== undefined && tool.inputSchema.properties.account
+        ? { ...toolArgs, account }
+        : toolArgs;
+
+      const callContext = {
+        profile,
+        caller,
+        transport,
+        signal,
+        reportProgress,
+        tool: name,
+        arguments: params.arguments || {},
+        // Changes are always planned against current data, never a cached copy
+        fresh: fresh === true || MUTATING_TOOLS.has(name),
+        cache: { hits: 0, misses: 0, maxAgeMs: 0 }
+      };
+      const result = await this.requestContext.run(callContext, async () => {
+        args = await this.resolveResourceArguments(args);
+        this.checkArgumentResources(args);
+
+        if (DESTRUCTIVE_TOOLS.has(name)) {
+          const { dry_run, confirm, ...changeArgs } = args;
+          if (dry_run) {
+            return renderResult(await this.previewChange(name, changeArgs), outputOptions);
+          }
+          if (this.requireConfirmation) {
+            this.consumeConfirmation(name, changeArgs, confirm);
+          }
+          args = changeArgs;
+        }
+
+        return renderResult(await this.dispatchTool(name, args), outputOptions);
+      });
+      return withCacheMeta(result, callContext.cache, format);
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error: ${error.message}`
+            text: `Error: ${this.redactSecrets(error.message)}`
           }
-        ]
+        ],
+        isError: true
       };
     }
   }
 
-  async makeRequest(endpoint, method = "GET", data = null) {
-    const url = `${this.baseUrl}${endpoint}`;
+  resolveProfile(name) {
+    if (!name) {
+      return this.defaultProfile;
+    }
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new Error(`Unknown account "${name}"; available accounts: ${[...this.profiles.keys()].join(", ")}`);
+    }
+    return profile;
+  }
+
+  currentProfile() {
+    const store = this.requestContext.getStore();
+    return (store && store.profile) || this.defaultProfile;
+  }
+
+  redactSecrets(text) {
+    let redacted = String(text);
+    for (const profile of this.profiles.values()) {
+      redacted = redacted.split(profile.apiKey).join("[redacted]");
+    }
+    return redacted;
+  }
+
+  async dispatchTool(name, args) {
+    switch (name) {
+      // Account profile operations
+      case "list_accounts":
+        return this.listAccounts();
+      case "list_all_vps":
+        return await this.listAcrossAccounts("VPS instances", () => this.listVPS({ ...args, all: true }));
+      case "list_all_domains":
+        return await this.listAcrossAccounts("Domains", () => this.listDomains({ ...args, all: true }));
+      case "list_all_hosting_accounts":
+        return await this.listAcrossAccounts("Hosting accounts", () => this.listHostingAccounts({ ...args, all: true }));
+
+      // Audit operations
+      case "get_audit_log":
+        return await this.getAuditLog(args);
+
+      // VPS operations
+      case "list_vps":
+        return await this.listVPS(args);
+      case "get_vps":
+        return await this.getVPS(args.vps_id);
+      case "start_vps":
+        return await this.startVPS(args.vps_id, args.wait, args.timeout_seconds);
+      case "stop_vps":
+        return await this.stopVPS(args.vps_id, args.wait, args.timeout_seconds);
+      case "restart_vps":
+        return await this.restartVPS(args.vps_id, args.wait, args.timeout_seconds);
+      case "wait_for_vps_state":
+        return await this.waitForVPSState(args.vps_id, args.state, args.timeout_seconds);
+      case "get_vps_usage":
+        return await this.getVPSUsage(args.vps_id, args.period);
+
+      // Domain operations
+      case "list_domains":
+        return await this.listDomains(args);
+      case "get_domain":
+        return await this.getDomain(args.domain_id);
+      case "get_domain_dns":
+        return await this.getDomainDNS(args.domain_id);
+      case "create_dns_record":
+        return await this.createDNSRecord(args);
+      case "update_dns_record":
+        return await this.updateDNSRecord(args);
+      case "delete_dns_record":
+        return await this.deleteDNSRecord(args.domain_id, args.record_id);
+      case "plan_dns_changes":
+        return await this.planDNS(args);
+      case "apply_dns_plan":
+        return await this.applyDNSPlan(args);
+      case "export_dns_zone":
+        return await this.exportDNSZone(args.domain_id);
+      case "import_dns_zone":
+        return await this.importDNSZone(args);
+
+      // Hosting operations
+      case "list_hosting_accounts":
+        return await this.listHostingAccounts(args);
+      case "get_hosting_account":
+        return await this.getHostingAccount(args.account_id);
+      case "get_hosting_usage":
+        return await this.getHostingUsage(args.account_id);
+
+      // Email operations
+      case "list_email_accounts":
+        return await this.listEmailAccounts(args.domain_id, args);
+      case "create_email_account":
+        return await this.createEmailAccount(args);
+      case "delete_email_account":
+        return await this.deleteEmailAccount(args.domain_id, args.email);
+      case "check_email_dns":
+        return await this.checkEmailDNS(args);
+      case "configure_email_dns":
+        return await this.configureEmailDNS(args);
+
+      // SSL operations
+      case "list_ssl_certificates":
+        return await this.listSSLCertificates(args.domain_id, args.account_id, args);
+      case "get_ssl_certificate":
+        return await this.getSSLCertificate(args.certificate_id);
+      case "create_ssl_certificate":
+        return await this.createSSLCertificate(args);
+      case "list_expiring_ssl_certificates":
+        return await this.listExpiringSSLCertificates(args.days);
+
+      // Backup operations
+      case "list_backups":
+        return await this.listBackups(args.resource_type, args.resource_id, args);
+      case "create_backup":
+        return await this.createBackup(args.resource_type, args.resource_id);
+      case "restore_backup":
+        return await this.restoreBackup(args);
+
+      // Account operations
+      case "get_account_info":
+        return await this.getAccountInfo();
+      case "get_invoices":
+        return await this.getInvoices(args);
+      case "get_invoice":
+        return await this.getInvoice(args.invoice_id);
+      case "list_subscriptions":
+        return await this.listSubscriptions(args);
+      case "get_renewal_summary":
+        return await this.getRenewalSummary(args.days);
+
+      case "list_alerts":
+        return this.listAlerts(args.status);
+      case "get_usage_history":
+        return this.getUsageHistory(args.resource_type, args.resource_id, args.hours);
+
+      case "batch":
+        return await this.runBatch(args);
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Dry runs and confirmation tokens for destructive tools
+  async previewChange(name, args) {
+    let change;
+    let columns;
+    switch (name) {
+      case "stop_vps":
+      case "restart_vps": {
+        const vps = await this.makeRequest(path`/v1/vps/${args.vps_id}`);
+        change = {
+          action: name === "stop_vps" ? "stop" : "restart",
+          vps_id: args.vps_id,
+          current: vps.data || vps
+        };
+        break;
+      }
+      case "update_dns_record": {
+        const { domain_id, record_id, ...changes } = args;
+        const current = await this.findDNSRecord(domain_id, record_id);
+        const { record, warnings } = await this.checkDNSRecord(domain_id, changes, record_id);
+        change = {
+          action: "update DNS record",
+          domain_id,
+          current,
+          proposed: { ...current, ...record },
+          ...(warnings.length > 0 && { warnings })
+        };
+        break;
+      }
+      case "delete_dns_record":
+        change = {
+          action: "delete DNS record",
+          domain_id: args.domain_id,
+          current: await this.findDNSRecord(args.domain_id, args.record_id)
+        };
+        break;
+      case "delete_email_account": {
+        const accounts = toList(await this.makeRequest(path`/v1/domains/${args.domain_id}/email`));
+        const current = accounts.find((account) => account.email === args.email);
+        if (!current) {
+          throw new Error(`Email account ${args.email} not found on domain ${args.domain_id}`);
+        }
+        change = { action: "delete email account", domain_id: args.domain_id, current };
+        break;
+      }
+      case "restore_backup": {
+        const { resource_type, resource_id, backup_id } = args;
+        const { items } = await this.fetchList(this.backupEndpoint(resource_type, resource_id), { all: true });
+        const backup = items.find((candidate) => String(candidate.id) === String(backup_id));
+        if (!backup) {
+          throw new Error(`Backup ${backup_id} not found for ${resource_type} ${resource_id}`);
+        }
+        const target = await this.makeRequest(path`/v1/${resource_type}/${resource_id}`);
+        change = {
+          action: "restore backup, overwriting live data",
+          resource_type,
+          resource_id,
+          current: target.data || target,
+          backup: { id: backup.id, created_at: backup.created_at ?? backup.timestamp, size: formatBytes(backup.size) }
+        };
+        break;
+      }
+      case "apply_dns_plan":
+        change = (await this.computeDNSPlan(args)).steps;
+        columns = DNS_PLAN_COLUMNS;
+        break;
+      case "configure_email_dns":
+        change = (await this.computeEmailDNS(args)).steps;
+        columns = [...DNS_PLAN_COLUMNS, ["Reason", "reason"]];
+        break;
+      default:
+        throw new Error(`No dry run available for ${name}`);
+    }
+
+    const token = this.issueConfirmation(name, args);
+    const instructions = this.requireConfirmation
+      ? `To apply, call ${name} again with the same arguments and confirm: "${token}" within ${Math.round(this.confirmationTtlMs / 1000)}s.`
+      : `To apply, call ${name} again without dry_run.`;
+
+    return {
+      title: "Dry run, nothing was changed",
+      message: instructions,
+      data: change,
+      columns,
+      meta: this.requireConfirmation ? { confirm: token } : undefined
+    };
+  }
+
+  async findDNSRecord(domainId, recordId) {
+    const records = await this.fetchDNSRecords(domainId);
+    const record = records.find((candidate) => String(candidate.id) === String(recordId));
+    if (!record) {
+      throw new Error(`DNS record ${recordId} not found on domain ${domainId}`);
+    }
+    return record;
+  }
+
+  confirmationFingerprint(name, args) {
+    return `${this.currentProfile().name}:${name}:${JSON.stringify(args, Object.keys(args).sort())}`;
+  }
+
+  issueConfirmation(name, args) {
+    const now = Date.now();
+    for (const [token, entry] of this.confirmations) {
+      if (entry.expiresAt <= now) {
+        this.confirmations.delete(token);
+      }
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    this.confirmations.set(token, {
+      fingerprint: this.confirmationFingerprint(name, args),
+      expiresAt: now + this.confirmationTtlMs
+    });
+    return token;
+  }
+
+  consumeConfirmation(name, args, token) {
+    const entry = token && this.confirmations.get(token);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      throw new Error(`${name} requires confirmation: call it with dry_run: true first, then pass the returned confirm token`);
+    }
+    if (entry.fingerprint !== this.confirmationFingerprint(name, args)) {
+      throw new Error(`Confirm token does not match these ${name} arguments; run a new dry run for this change`);
+    }
+    this.confirmations.delete(token);
+  }
+
+  async makeRequest(endpoint, method = "GET", data = null, requestOptions = {}) {
+    this.checkEndpointResources(endpoint);
+    if (method === "GET") {
+      const result = this.filterAllowedResources(endpoint, await this.cachedGet(endpoint, requestOptions));
+      return await this.filterAllowedCertificates(endpoint, result);
+    }
+
+    const startedAt = Date.now();
+    const exchange = {};
+    try {
+      const result = await this.sendRequest(endpoint, method, data, requestOptions, exchange);
+      this.recordAudit({ endpoint, method, status: exchange.status, startedAt });
+      return result;
+    } catch (error) {
+      this.recordAudit({ endpoint, method, status: exchange.status, startedAt, error: error.message });
+      throw error;
+    } finally {
+      // A failed change may still have been applied, so both outcomes invalidate
+      this.invalidateCache(endpoint);
+    }
+  }
+
+  async cachedGet(endpoint, requestOptions) {
+    const context = this.requestContext.getStore() || {};
+    const account = this.currentProfile().name;
+    const { defaultTtlMs, ttls, maxEntries } = this.cachePolicy;
+    const ttl = ttls[endpointTemplate(endpoint)] ?? defaultTtlMs;
+    if (ttl <= 0 || maxEntries <= 0) {
+      return await this.sendRequest(endpoint, "GET", null, requestOptions);
+    }
+
+    const key = `${account} ${endpoint}`;
+    const entry = this.responseCache.get(key);
+    const fresh = requestOptions.fresh || context.fresh;
+    if (entry && !fresh && Date.now() < entry.expiresAt) {
+      this.responseCache.delete(key);
+      this.responseCache.set(key, entry);
+      const ageMs = Date.now() - entry.storedAt;
+      if (context.cache) {
+        context.cache.hits++;
+        context.cache.maxAgeMs = Math.max(context.cache.maxAgeMs, ageMs);
+      }
+      this.metrics.inc("hostinger_api_cache_requests_total", { result: "hit" });
+      return structuredClone(entry.value);
+    }
+
+    if (context.cache) {
+      context.cache.misses++;
+    }
+    this.metrics.inc("hostinger_api_cache_requests_total", { result: fresh ? "bypass" : "miss" });
+
+    // A change made while this read was in flight may not be reflected in it
+    const generation = this.cacheGeneration;
+    const value = await this.sendRequest(endpoint, "GET", null, requestOptions);
+    if (generation === this.cacheGeneration) {
+      const storedAt = Date.now();
+      this.responseCache.set(key, {
+        account,
+        path: endpoint.split("?")[0],
+        value: structuredClone(value),
+        storedAt,
+        expiresAt: storedAt + ttl
+      });
+      while (this.responseCache.size > maxEntries) {
+        this.responseCache.delete(this.responseCache.keys().next().value);
+      }
+    }
+    return value;
+  }
+
+  invalidateCache(endpoint) {
+    const account = this.currentProfile().name;
+    const { collection, listing, prefix, ssl } = cacheScope(endpoint);
+    this.cacheGeneration++;
+    for (const [key, entry] of this.responseCache) {
+      const stale = entry.path === listing
+        || (prefix && (entry.path === prefix || entry.path.startsWith(`${prefix}/`)))
+        || (ssl && isSSLPath(entry.path));
+      if (entry.account === account && stale) {
+        this.responseCache.delete(key);
+      }
+    }
+    // Names only change when a resource itself is created, changed or deleted
+    if (!prefix || endpoint.split("?")[0] === prefix) {
+      this.lookupCache.delete(`${account}:${collection}`);
+    }
+  }
+
+  async sendRequest(endpoint, method, data, requestOptions, exchange = {}) {
+    const { name: account, baseUrl, apiKey, circuit } = this.currentProfile();
+    const url = `${baseUrl}${endpoint}`;
+    const route = { method, endpoint: endpointTemplate(endpoint) };
     const options = {
       method,
       headers: {
-        "Authorization": `Bearer ${this.apiKey}`,
+        "Authorization": `Bearer ${apiKey}`,
         "Content-Type": "application/json",
       },
     };
@@ -453,264 +3692,1244 @@ class HostingerMCPServer {
       options.body = JSON.stringify(data);
     }
 
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
+    const { timeout, maxRetries, retryBaseMs, retryMaxMs } = this.requestPolicy;
+    const timeoutMs = requestOptions.timeout || timeout;
+    const retries = requestOptions.retries ?? maxRetries;
+    const idempotent = IDEMPOTENT_METHODS.has(method);
+    this.checkCircuit(circuit);
+
+    let attempt = 0;
+    let body;
+    while (true) {
+      attempt++;
+      let retryDelay = null;
+      let failure;
+      let retryReason;
+      const attemptStartedAt = Date.now();
+
+      try {
+        const response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+        exchange.status = response.status;
+        this.recordUpstreamAttempt(account, route, response.status, attemptStartedAt);
+
+        if (response.ok) {
+          body = await response.text();
+          this.recordCircuitSuccess(circuit);
+          break;
+        }
+
         const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        failure = new Error(`HTTP ${response.status}: ${errorText}`);
+        failure.status = response.status;
+
+        if (response.status === 429) {
+          this.metrics.inc("hostinger_api_rate_limited_total", { account, endpoint: route.endpoint });
+          retryReason = "rate_limited";
+          // A rate-limited request was not processed, so it is safe to retry any method
+          retryDelay = parseRetryAfter(response.headers.get("retry-after")) ?? backoffDelay(attempt, retryBaseMs, retryMaxMs);
+          if (retryDelay > retryMaxMs) {
+            failure = new Error(`HTTP 429: rate limited, retry after ${Math.ceil(retryDelay / 1000)}s`);
+            retryDelay = null;
+          }
+        } else if (response.status >= 500) {
+          failure.upstream = true;
+          retryReason = "server_error";
+          if (idempotent) {
+            retryDelay = backoffDelay(attempt, retryBaseMs, retryMaxMs);
+          }
+        }
+      } catch (error) {
+        const timedOut = error.name === "TimeoutError";
+        this.recordUpstreamAttempt(account, route, timedOut ? "timeout" : "network_error", attemptStartedAt);
+        retryReason = timedOut ? "timeout" : "network_error";
+        failure = timedOut
+          ? new Error(`request timed out after ${timeoutMs}ms`)
+          : error;
+        failure.upstream = true;
+        if (idempotent) {
+          retryDelay = backoffDelay(attempt, retryBaseMs, retryMaxMs);
+        }
+      }
+
+      if (retryDelay === null || attempt > retries) {
+        if (failure.upstream) {
+          this.recordCircuitFailure(circuit);
+        }
+        const attempts = `${attempt} attempt${attempt === 1 ? "" : "s"}`;
+        throw new Error(`API request failed after ${attempts}: ${failure.message}`);
+      }
+
+      this.metrics.inc("hostinger_api_retries_total", { ...route, reason: retryReason });
+      await sleep(retryDelay);
+    }
+
+    try {
+      return body ? JSON.parse(body) : {};
+    } catch (error) {
+      throw new Error(`API request failed: invalid JSON response: ${error.message}`);
+    }
+  }
+
+  recordUpstreamAttempt(account, route, status, startedAt) {
+    this.metrics.inc("hostinger_api_requests_total", { account, ...route, status });
+    this.metrics.observe("hostinger_api_request_duration_seconds", route, (Date.now() - startedAt) / 1000);
+  }
+
+  // Audit log: one JSON line per POST, PUT or DELETE sent upstream
+  recordAudit({ endpoint, method, status, startedAt, error }) {
+    const context = this.requestContext.getStore() || {};
+    const entry = {
+      timestamp: new Date(startedAt).toISOString(),
+      transport: context.transport || null,
+      caller: context.caller ? context.caller.name : null,
+      account: this.currentProfile().name,
+      tool: context.tool || null,
+      arguments: redactArguments(context.arguments || {}),
+      method,
+      endpoint,
+      status: status || null,
+      outcome: error ? "error" : "success",
+      ...(error && { error: this.redactSecrets(error) }),
+      duration_ms: Date.now() - startedAt
+    };
+
+    this.auditWrites = this.auditWrites
+      .then(() => fs.promises.appendFile(this.auditLogPath, `${JSON.stringify(entry)}\n`))
+      .catch((writeError) => console.error(`Failed to write audit log: ${writeError.message}`));
+  }
+
+  async queryAuditLog({ tool, resource_id, account, since, until } = {}) {
+    await this.auditWrites;
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.auditLogPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : -Infinity;
+    const untilTime = until ? new Date(until).getTime() : Infinity;
+    if (isNaN(sinceTime) || isNaN(untilTime)) {
+      throw new Error("since and until must be valid dates");
+    }
+
+    return contents
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((entry) => {
+        const time = new Date(entry.timestamp).getTime();
+        if (time < sinceTime || time > untilTime) {
+          return false;
+        }
+        if (tool && entry.tool !== tool) {
+          return false;
+        }
+        if (account && entry.account !== account) {
+          return false;
+        }
+        if (resource_id) {
+          const segments = entry.endpoint.split("?")[0].split("/").map(decodeURIComponent);
+          const values = Object.values(entry.arguments || {}).map(String);
+          return segments.includes(resource_id) || values.includes(resource_id);
+        }
+        return true;
+      })
+      .reverse();
+  }
+
+  // Each account profile has its own circuit, so one revoked key does not block the others
+  checkCircuit(circuit) {
+    const { threshold, cooldownMs } = this.circuitPolicy;
+    if (circuit.failures >= threshold && Date.now() < circuit.openedAt + cooldownMs) {
+      const retryIn = Math.ceil((circuit.openedAt + cooldownMs - Date.now()) / 1000);
+      throw new Error(`API request failed: Hostinger API unavailable after ${circuit.failures} consecutive failures, not retrying for ${retryIn}s`);
+    }
+  }
+
+  recordCircuitSuccess(circuit) {
+    circuit.failures = 0;
+  }
+
+  recordCircuitFailure(circuit) {
+    // Once open, each failed trial request after the cooldown re-opens the circuit
+    circuit.failures++;
+    if (circuit.failures >= this.circuitPolicy.threshold) {
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  setupToolHandlers(server, context = {}) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return await this.handleListTools(context.caller);
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      // Progress goes back only to clients that asked for it with a progress token
+      const progressToken = request.params._meta?.progressToken;
+      const reportProgress = progressToken === undefined ? () => {} : (progress, total) => {
+        server.notification({ method: "notifications/progress", params: { progressToken, progress, total } })
+          .catch((error) => console.error("Failed to send progress notification:", error.message));
+      };
+      return await this.handleCallTool(request.params, { ...context, signal: extra.signal, reportProgress });
+    });
+  }
+
+  setupResourceHandlers(server, context = {}) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: await this.listResources() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: RESOURCE_TEMPLATES.map(({ uriTemplate, name, description }) => ({
+          uriTemplate,
+          name,
+          description,
+          mimeType: "application/json"
+        }))
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const data = await this.readResource(uri, context);
+      return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) }] };
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const fingerprint = resourceFingerprint(this.parseResourceUri(uri), await this.readResource(uri, context));
+      if (!this.resourceSubscriptions.has(server)) {
+        this.resourceSubscriptions.set(server, { context, uris: new Map() });
+      }
+      this.resourceSubscriptions.get(server).uris.set(uri, fingerprint);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resourceSubscriptions.get(server)?.uris.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: [...this.prompts.values()].map(({ name, description, arguments: args }) => ({
+          name,
+          description,
+          arguments: args.map(({ name: argName, description: argDescription, required = false }) => ({
+            name: argName,
+            description: argDescription,
+            required
+          }))
+        }))
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: values } = request.params;
+      const prompt = this.prompts.get(name);
+      if (!prompt) {
+        const error = new Error(`Unknown prompt: ${name}`);
+        error.code = -32602;
+        throw error;
+      }
+      return {
+        description: prompt.description,
+        messages: [{ role: "user", content: { type: "text", text: renderPrompt(prompt, values) } }]
+      };
+    });
+  }
+
+  // Resources
+
+  parseResourceUri(uri) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch {
+      url = null;
+    }
+    if (url && url.protocol === "hostinger:") {
+      for (const template of RESOURCE_TEMPLATES) {
+        const match = `${url.host}${url.pathname}`.match(template.path);
+        if (match) {
+          return { kind: template.kind, id: decodeURIComponent(match[1]), account: url.searchParams.get("account") };
+        }
+      }
+    }
+    const error = new Error(`Unknown resource URI: ${uri}`);
+    error.code = -32002;
+    throw error;
+  }
+
+  resourceUri(path, profile) {
+    const query = profile === this.defaultProfile ? "" : `?account=${encodeURIComponent(profile.name)}`;
+    return `hostinger://${path}${query}`;
+  }
+
+  async readResource(uri, context = {}) {
+    const { kind, id, account } = this.parseResourceUri(uri);
+    const profile = this.resolveProfile(account);
+    const callContext = { profile, caller: context.caller || null, transport: context.transport || null, fresh: context.fresh };
+    const fetchers = {
+      vps: () => this.getVPS(id),
+      dns: () => this.getDomainDNS(id),
+      hosting_usage: () => this.getHostingUsage(id)
+    };
+    const result = await this.requestContext.run(callContext, fetchers[kind]);
+    return result.data;
+  }
+
+  async listResources() {
+    const name = (item, fallback) => item.hostname || item.domain || item.name || fallback;
+    const sources = [
+      ["VPS instances", () => this.listVPS({ all: true }), (item) => ({
+        path: `vps/${encodeURIComponent(item.id)}`,
+        name: `VPS ${name(item, item.id)}`
+      })],
+      ["Domains", () => this.listDomains({ all: true }), (item) => ({
+        path: `domains/${encodeURIComponent(item.id)}/dns`,
+        name: `DNS records for ${name(item, item.id)}`
+      })],
+      ["Hosting accounts", () => this.listHostingAccounts({ all: true }), (item) => ({
+        path: `hosting/${encodeURIComponent(item.id)}/usage`,
+        name: `Hosting usage for ${name(item, item.id)}`
+      })]
+    ];
+
+    const resources = [];
+    for (const [title, listItems, describe] of sources) {
+      const { data, message } = await this.listAcrossAccounts(title, listItems);
+      if (message) {
+        console.error(`Listing resources: ${title}: ${message}`);
+      }
+      for (const item of data) {
+        const { path: resourcePath, name: resourceName } = describe(item);
+        const profile = this.profiles.get(item.account);
+        const suffix = this.profiles.size > 1 ? ` (${item.account})` : "";
+        resources.push({
+          uri: this.resourceUri(resourcePath, profile),
+          name: `${resourceName}${suffix}`,
+          mimeType: "application/json"
+        });
+      }
+    }
+    return resources;
+  }
+
+  // Re-reads every subscribed resource and notifies subscribers whose resource changed.
+  // A resource shared by several subscribers is fetched once per pass.
+  async pollResourceSubscriptions() {
+    if (this.pollingResources || this.resourceSubscriptions.size === 0) {
+      return;
+    }
+    this.pollingResources = true;
+    try {
+      const reads = new Map();
+      for (const [server, { context, uris }] of this.resourceSubscriptions) {
+        for (const [uri, previous] of uris) {
+          if (!reads.has(uri)) {
+            reads.set(uri, this.readResource(uri, { ...context, fresh: true }).then(
+              (data) => resourceFingerprint(this.parseResourceUri(uri), data),
+              (error) => {
+                console.error(`Failed to refresh resource ${uri}:`, error.message);
+                return null;
+              }
+            ));
+          }
+          const fingerprint = await reads.get(uri);
+          if (fingerprint !== null && fingerprint !== previous) {
+            uris.set(uri, fingerprint);
+            await server.notification({ method: "notifications/resources/updated", params: { uri } })
+              .catch((error) => console.error("Failed to send resource update:", error.message));
+          }
+        }
+      }
+    } finally {
+      this.pollingResources = false;
+    }
+  }
+
+  // Audit methods
+  async getAuditLog(filters) {
+    const entries = await this.queryAuditLog(filters);
+    return { title: "Audit log entries", data: entries, columns: AUDIT_COLUMNS };
+  }
+
+  // Account profile methods
+  listAccounts() {
+    const accounts = [...this.profiles.values()].map((profile) => ({
+      name: profile.name,
+      base_url: profile.baseUrl,
+      default: profile === this.defaultProfile
+    }));
+    return { title: "Account profiles", data: accounts };
+  }
+
+  async listAcrossAccounts(title, listItems) {
+    const profiles = [...this.profiles.values()];
+    const results = await Promise.allSettled(
+      profiles.map((profile) => this.requestContext.run({ profile }, listItems))
+    );
+
+    const items = [];
+    const failures = [];
+    const notes = [];
+    let columns;
+    results.forEach((result, i) => {
+      const account = profiles[i].name;
+      if (result.status === "fulfilled") {
+        items.push(...toList(result.value.data).map((item) => ({ account, ...item })));
+        columns = result.value.columns;
+        if (result.value.message) {
+          notes.push(`${account}: ${result.value.message}`);
+        }
+      } else {
+        failures.push(`${account}: ${this.redactSecrets(result.reason.message)}`);
       }
+    });
 
-      const result = await response.json();
-      return result;
-    } catch (error) {
-      throw new Error(`API request failed: ${error.message}`);
+    if (failures.length > 0) {
+      notes.push(`Failed accounts: ${failures.join("; ")}`);
     }
+    return {
+      title: `${title} across ${profiles.length} accounts`,
+      message: notes.length > 0 ? notes.join("\n") : undefined,
+      data: items,
+      columns: columns && [["Account", "account"], ...columns]
+    };
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return await this.handleListTools();
-    });
+  // Fetches one page, the page after a cursor, or with all every page up to the cap
+  async fetchList(endpoint, { page, per_page, cursor, all = false } = {}, query = {}, requestOptions = {}) {
+    const { maxPages } = this.paginationPolicy;
+    const items = [];
+    let request = { page, per_page, cursor };
+    let pages = 0;
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      return await this.handleCallTool(request.params);
-    });
+    while (true) {
+      const result = await this.makeRequest(withQuery(endpoint, { ...query, ...request }), "GET", null, requestOptions);
+      items.push(...toList(result));
+      pages++;
+
+      const { page: current, perPage, total, lastPage, nextCursor } = readPagination(result);
+      const nextPage = current && lastPage && current < lastPage ? current + 1 : null;
+      const complete = !nextCursor && !nextPage;
+      if (complete || !all || pages >= maxPages) {
+        return {
+          items,
+          pagination: {
+            page: current,
+            per_page: perPage,
+            total: total ?? (complete && (all || pages === 1) ? items.length : null),
+            total_pages: lastPage,
+            pages_fetched: pages,
+            next_page: nextCursor ? null : nextPage,
+            next_cursor: nextCursor,
+            complete,
+          },
+        };
+      }
+      request = nextCursor ? { per_page, cursor: nextCursor } : { per_page, page: nextPage };
+    }
   }
 
-  // VPS methods
-  async listVPS() {
-    const result = await this.makeRequest("/v1/vps");
+  // Applies the filters and sort to what was fetched, and says when pages were left out
+  listResult(title, columns, kind, { items, pagination }, args = {}) {
+    const filtered = sortListItems(filterListItems(items, LIST_FIELDS[kind], args), args.sort);
+    const notes = [];
+    if (filtered.length !== items.length) {
+      notes.push(`${filtered.length} of ${items.length} fetched items match the filters.`);
+    }
+    if (!pagination.complete) {
+      const { page, total_pages, total, next_page, next_cursor, pages_fetched } = pagination;
+      const position = [
+        page && total_pages ? `page ${page} of ${total_pages}` : `${pages_fetched} page${pages_fetched === 1 ? "" : "s"}`,
+        total !== null ? `${total} items in total` : null,
+      ].filter(Boolean).join(", ");
+      const next = next_cursor ? `cursor "${next_cursor}"` : `page ${next_page}`;
+      notes.push(args.all
+        ? `Stopped after ${position} (HOSTINGER_PAGINATION_MAX_PAGES); pass ${next} to continue.`
+        : `More results: fetched ${position}; pass ${next} or all: true for the rest.`);
+    }
     return {
-      content: [
-        {
-          type: "text",
-          text: `VPS instances: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      title,
+      message: notes.length > 0 ? notes.join(" ") : undefined,
+      data: filtered,
+      columns,
+      meta: { pagination }
     };
   }
 
+  // VPS methods
+  async listVPS(args = {}) {
+    const list = await this.fetchList("/v1/vps", args);
+    return this.listResult("VPS instances", VPS_COLUMNS, "vps", list, args);
+  }
+
   async getVPS(vpsId) {
-    const result = await this.makeRequest(`/v1/vps/${vpsId}`);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `VPS details: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+    const result = await this.makeRequest(path`/v1/vps/${vpsId}`);
+    return { title: "VPS details", data: result, columns: VPS_COLUMNS };
   }
 
-  async startVPS(vpsId) {
-    const result = await this.makeRequest(`/v1/vps/${vpsId}/start`, "POST");
-    return {
-      content: [
-        {
-          type: "text",
-          text: `VPS start result: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+  async startVPS(vpsId, wait = false, timeoutSeconds) {
+    const result = await this.makeRequest(path`/v1/vps/${vpsId}/start`, "POST");
+    if (wait) {
+      return await this.waitForVPSState(vpsId, "running", timeoutSeconds);
+    }
+    return { title: `Start requested for VPS ${vpsId}`, data: result };
   }
 
-  async stopVPS(vpsId) {
-    const result = await this.makeRequest(`/v1/vps/${vpsId}/stop`, "POST");
-    return {
-      content: [
-        {
-          type: "text",
-          text: `VPS stop result: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+  async stopVPS(vpsId, wait = false, timeoutSeconds) {
+    const result = await this.makeRequest(path`/v1/vps/${vpsId}/stop`, "POST");
+    if (wait) {
+      return await this.waitForVPSState(vpsId, "stopped", timeoutSeconds);
+    }
+    return { title: `Stop requested for VPS ${vpsId}`, data: result };
   }
 
-  async restartVPS(vpsId) {
-    const result = await this.makeRequest(`/v1/vps/${vpsId}/restart`, "POST");
-    return {
-      content: [
-        {
-          type: "text",
-          text: `VPS restart result: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+  async restartVPS(vpsId, wait = false, timeoutSeconds) {
+    const result = await this.makeRequest(path`/v1/vps/${vpsId}/restart`, "POST");
+    if (wait) {
+      return await this.waitForVPSState(vpsId, "running", timeoutSeconds, { leaveFirst: true });
+    }
+    return { title: `Restart requested for VPS ${vpsId}`, data: result };
+  }
+
+  // Polls the VPS with growing intervals until it reports `state`, sending a progress
+  // notification (elapsed of timeout seconds) after each poll. With leaveFirst, as after
+  // a restart, the target state only counts once the VPS has been seen in another
+  // state or a full poll interval has passed, so a stale "running" is not trusted.
+  async waitForVPSState(vpsId, state, timeoutSeconds, { leaveFirst = false } = {}) {
+    const { intervalMs, maxIntervalMs, timeoutSeconds: defaultTimeout } = this.vpsWaitPolicy;
+    const { signal, reportProgress } = this.requestContext.getStore();
+    const target = state.toLowerCase();
+    const timeout = timeoutSeconds ?? defaultTimeout;
+    const startedAt = Date.now();
+    const deadline = startedAt + timeout * 1000;
+
+    let delay = intervalMs;
+    let polls = 0;
+    let left = !leaveFirst;
+    let lastProgress = -1;
+    let current;
+    while (true) {
+      if (signal?.aborted) {
+        throw new Error(`Stopped waiting for VPS ${vpsId}: the request was cancelled`);
+      }
+
+      const result = await this.makeRequest(path`/v1/vps/${vpsId}`, "GET", null, { fresh: true });
+      const vps = result.data || result;
+      current = String(vps.state || vps.status || "unknown").toLowerCase();
+      polls++;
+
+      // Progress must only ever increase, so it is reported in tenths of a second
+      const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+      const progress = Math.min(Math.round((Date.now() - startedAt) / 100) / 10, timeout);
+      if (progress > lastProgress) {
+        reportProgress(progress, timeout);
+        lastProgress = progress;
+      }
+
+      left = left || current !== target || Date.now() - startedAt >= intervalMs;
+      if (current === target && left) {
+        return {
+          title: `VPS ${vpsId} is ${current}`,
+          message: `Reached "${target}" after ${elapsedSeconds}s (${polls} checks).`,
+          data: vps,
+          columns: VPS_COLUMNS,
+          meta: { waited_seconds: elapsedSeconds, polls }
+        };
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`VPS ${vpsId} did not reach "${target}" within ${timeout}s; last state was "${current}"`);
+      }
+      try {
+        await sleep(Math.min(delay, remaining), signal);
+      } catch {
+        throw new Error(`Stopped waiting for VPS ${vpsId}: the request was cancelled`);
+      }
+      delay = Math.min(delay * 2, maxIntervalMs);
+    }
   }
 
   async getVPSUsage(vpsId, period = "24h") {
-    const result = await this.makeRequest(`/v1/vps/${vpsId}/usage?period=${period}`);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `VPS usage statistics: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+    const result = await this.makeRequest(withQuery(path`/v1/vps/${vpsId}/usage`, { period }));
+    return { title: `VPS usage statistics (${period})`, data: result };
   }
 
   // Domain methods
-  async listDomains() {
-    const result = await this.makeRequest("/v1/domains");
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Domains: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+  async listDomains(args = {}) {
+    const list = await this.fetchList("/v1/domains", args);
+    return this.listResult("Domains", DOMAIN_COLUMNS, "domains", list, args);
   }
 
   async getDomain(domainId) {
-    const result = await this.makeRequest(`/v1/domains/${domainId}`);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Domain details: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+    const result = await this.makeRequest(path`/v1/domains/${domainId}`);
+    return { title: "Domain details", data: result, columns: DOMAIN_COLUMNS };
   }
 
   async getDomainDNS(domainId) {
-    const result = await this.makeRequest(`/v1/domains/${domainId}/dns`);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `DNS records: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+    const result = await this.makeRequest(path`/v1/domains/${domainId}/dns`);
+    return { title: "DNS records", data: result, columns: DNS_COLUMNS };
   }
 
   async createDNSRecord(data) {
     const { domain_id, ...recordData } = data;
-    const result = await this.makeRequest(`/v1/domains/${domain_id}/dns`, "POST", recordData);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Created DNS record: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
-    };
+    const { record, warnings } = await this.checkDNSRecord(domain_id, recordData);
+    const result = await this.makeRequest(path`/v1/domains/${domain_id}/dns`, "POST", record);
+    return { title: "Created DNS record", message: formatWarnings(warnings), data: result, columns: DNS_COLUMNS };
   }
 
   async updateDNSRecord(data) {
     const { domain_id, record_id, ...recordData } = data;
-    const result = await this.makeRequest(`/v1/domains/${domain_id}/dns/${record_id}`, "PUT", recordData);
+    const { record, warnings } = await this.checkDNSRecord(domain_id, recordData, record_id);
+    const result = await this.makeRequest(path`/v1/domains/${domain_id}/dns/${record_id}`, "PUT", record);
+    return { title: "Updated DNS record", message: formatWarnings(warnings), data: result, columns: DNS_COLUMNS };
+  }
+
+  // Validates a new record, or an update merged onto the current one, against the
+  // domain's other records. Throws before anything is sent if the record is invalid.
+  async checkDNSRecord(domainId, changes, recordId = null) {
+    const existing = await this.fetchDNSRecords(domainId);
+    let record = changes;
+    if (recordId !== null) {
+      const current = existing.find((candidate) => String(candidate.id) === String(recordId));
+      if (!current) {
+        throw new Error(`DNS record ${recordId} not found on domain ${domainId}`);
+      }
+      const { type, name, content, ttl, priority } = current;
+      record = { type, name, content, ttl, priority, ...changes };
+    }
+
+    const siblings = existing.filter((candidate) =>
+      String(candidate.id) !== String(recordId) && recordName(candidate.name) === recordName(record.name));
+    const { errors, warnings, record: checked } = validateDNSRecord(record, siblings);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${checked.type} record "${recordName(record.name)}":\n- ${errors.join("\n- ")}`);
+    }
     return {
-      content: [
-        {
-          type: "text",
-          text: `Updated DNS record: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      record: Object.fromEntries(Object.entries(checked).filter(([, value]) => value !== undefined && value !== null)),
+      warnings
     };
   }
 
   async deleteDNSRecord(domainId, recordId) {
-    await this.makeRequest(`/v1/domains/${domainId}/dns/${recordId}`, "DELETE");
+    await this.makeRequest(path`/v1/domains/${domainId}/dns/${recordId}`, "DELETE");
+    return { title: `Successfully deleted DNS record ${recordId}` };
+  }
+
+  async fetchDomainName(domainId) {
+    const result = await this.makeRequest(path`/v1/domains/${domainId}`);
+    const domain = result.data || result;
+    return domain.domain || domain.name || domainId;
+  }
+
+  async fetchDNSRecords(domainId) {
+    return toList(await this.makeRequest(path`/v1/domains/${domainId}/dns`));
+  }
+
+  async computeDNSPlan({ domain_id, document, protect_unlisted = false }) {
+    const desired = parseDNSDocument(document);
+    // The whole document is rejected up front, so a bad record never leaves the
+    // domain half changed after earlier steps (deletes first) have run
+    const invalid = validateDNSRecordSet(desired).filter(({ errors }) => errors.length > 0);
+    if (invalid.length > 0) {
+      throw new Error(`DNS document has ${invalid.length} invalid record${invalid.length === 1 ? "" : "s"}, nothing was changed:\n- ${invalid.map(describeInvalidRecord).join("\n- ")}`);
+    }
+    const current = await this.fetchDNSRecords(domain_id);
+    return planDNSChanges(desired, current, { protectUnlisted: protect_unlisted });
+  }
+
+  async planDNS(args) {
+    const { steps, unchanged } = await this.computeDNSPlan(args);
+    const count = (action) => steps.filter((step) => step.action === action).length;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Successfully deleted DNS record ${recordId}`
-        }
-      ]
+      title: `DNS plan for domain ${args.domain_id}`,
+      message: `${count("create")} to create, ${count("update")} to update, ${count("delete")} to delete, ${unchanged} unchanged.`,
+      data: steps,
+      columns: DNS_PLAN_COLUMNS,
+      meta: { unchanged }
     };
   }
 
-  // Hosting methods
-  async listHostingAccounts() {
-    const result = await this.makeRequest("/v1/hosting");
+  async applyDNSPlan(args) {
+    const { domain_id } = args;
+    const { steps, unchanged } = await this.computeDNSPlan(args);
+    const { results, failed } = await this.runDNSSteps(domain_id, steps);
+
+    const applied = results.filter((result) => result.status === "applied").length;
+    const summary = `${applied} of ${results.length} steps applied, ${unchanged} records unchanged.`;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Hosting accounts: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      title: failed
+        ? `DNS plan for domain ${domain_id} stopped at step ${failed.step}`
+        : `Applied DNS plan for domain ${domain_id}`,
+      message: failed ? `${summary} ${describeFailedStep(failed)}` : summary,
+      data: results,
+      columns: [...DNS_PLAN_COLUMNS, ["Result", "status"], ["Error", "error"]],
+      meta: { unchanged }
     };
   }
 
-  async getHostingAccount(accountId) {
-    const result = await this.makeRequest(`/v1/hosting/${accountId}`);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Hosting account details: ${JSON.stringify(result, null, 2)}`
+  // Runs plan steps in order through the regular DNS calls and stops at the first
+  // failure, so the results show exactly which steps were applied
+  async runDNSSteps(domain_id, steps) {
+    const results = steps.map((step) => ({ ...step, status: "not run" }));
+
+    let failed = null;
+    for (const result of results) {
+      const { action, type, name, content, ttl, priority, record_id } = result;
+      const record = Object.fromEntries(
+        Object.entries({ type, name, content, ttl, priority }).filter(([, value]) => value !== undefined)
+      );
+      try {
+        if (action === "create") {
+          await this.createDNSRecord({ domain_id, ...record });
+        } else if (action === "update") {
+          await this.updateDNSRecord({ domain_id, record_id, ...record });
+        } else {
+          await this.deleteDNSRecord(domain_id, record_id);
         }
-      ]
-    };
+        result.status = "applied";
+      } catch (error) {
+        result.status = "failed";
+        result.error = error.message;
+        failed = result;
+        break;
+      }
+    }
+    return { results, failed };
   }
 
-  async getHostingUsage(accountId) {
-    const result = await this.makeRequest(`/v1/hosting/${accountId}/usage`);
+  async exportDNSZone(domainId) {
+    const [zone, records] = await Promise.all([this.fetchDomainName(domainId), this.fetchDNSRecords(domainId)]);
+    const zoneFile = renderZoneFile(records, zone);
     return {
-      content: [
-        {
-          type: "text",
-          text: `Hosting usage: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      title: `Zone file for ${zone}`,
+      message: zoneFile,
+      data: { zone, record_count: records.length, zone_file: zoneFile },
+      columns: [["Zone", "zone"], ["Records", "record_count"]]
     };
   }
 
-  // Email methods
-  async listEmailAccounts(domainId) {
-    const result = await this.makeRequest(`/v1/domains/${domainId}/email`);
+  async importDNSZone({ domain_id, zone_file, apply = false }) {
+    const zone = await this.fetchDomainName(domain_id);
+    const { records, skipped } = parseZoneFile(zone_file, zone);
+
+    const recordKey = (record) => `${record.type}|${record.name}|${record.content}`.toLowerCase();
+    const current = await this.fetchDNSRecords(domain_id);
+    const existing = new Set(current.map(recordKey));
+    const newRecords = records.filter((record) => !existing.has(recordKey(record)));
+
+    // Records that would break the zone are left out instead of being sent upstream
+    const validated = validateDNSRecordSet(newRecords, current);
+    const toCreate = validated.filter(({ errors }) => errors.length === 0).map(({ input }) => input);
+    const invalid = validated.filter(({ errors }) => errors.length > 0)
+      .map((result) => ({ ...result.input, error: result.errors.join("; ") }));
+    const skippedLines = [
+      ...skipped.map(({ line, reason }) => `Skipped "${line}": ${reason}`),
+      ...validated.filter(({ errors }) => errors.length > 0).map((result) => `Invalid ${describeInvalidRecord(result)}`)
+    ];
+    const counts = `${records.length - newRecords.length} already exist, ${skipped.length} skipped, ${invalid.length} invalid`;
+
+    if (!apply) {
+      return {
+        title: `Zone import preview for ${zone}`,
+        message: [
+          `${toCreate.length} records would be created, ${counts}. Call import_dns_zone again with apply: true to create them.`,
+          ...skippedLines
+        ].join("\n"),
+        data: toCreate,
+        columns: DNS_COLUMNS,
+        meta: { skipped, invalid }
+      };
+    }
+
+    const results = [];
+    for (const record of toCreate) {
+      try {
+        const { data: created } = await this.createDNSRecord({ domain_id, ...record });
+        results.push({ ...record, status: "created", id: (created.data || created).id });
+      } catch (error) {
+        results.push({ ...record, status: "failed", error: error.message });
+      }
+    }
+
+    const failed = results.filter((result) => result.status === "failed").length;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Email accounts: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      title: `Zone import for ${zone}`,
+      message: [`${results.length - failed} records created, ${failed} failed, ${counts}.`, ...skippedLines].join("\n"),
+      data: results,
+      columns: [...DNS_COLUMNS, ["Result", "status"], ["Error", "error"]],
+      meta: { skipped, invalid }
     };
   }
 
+  // Hosting methods
+  async listHostingAccounts(args = {}) {
+    const list = await this.fetchList("/v1/hosting", args);
+    return this.listResult("Hosting accounts", HOSTING_COLUMNS, "hosting", list, args);
+  }
+
+  async getHostingAccount(accountId) {
+    const result = await this.makeRequest(path`/v1/hosting/${accountId}`);
+    return { title: "Hosting account details", data: result, columns: HOSTING_COLUMNS };
+  }
+
+  async getHostingUsage(accountId) {
+    const result = await this.makeRequest(path`/v1/hosting/${accountId}/usage`);
+    return { title: "Hosting usage", data: result };
+  }
+
+  // Email methods
+  async listEmailAccounts(domainId, args = {}) {
+    const list = await this.fetchList(path`/v1/domains/${domainId}/email`, args);
+    return this.listResult("Email accounts", EMAIL_COLUMNS, "email", list, args);
+  }
+
   async createEmailAccount(data) {
     const { domain_id, ...emailData } = data;
-    const result = await this.makeRequest(`/v1/domains/${domain_id}/email`, "POST", emailData);
+    const result = await this.makeRequest(path`/v1/domains/${domain_id}/email`, "POST", emailData);
+    return { title: "Created email account", data: result, columns: EMAIL_COLUMNS };
+  }
+
+  async deleteEmailAccount(domainId, email) {
+    await this.makeRequest(path`/v1/domains/${domainId}/email/${email}`, "DELETE");
+    return { title: `Successfully deleted email account ${email}` };
+  }
+
+  // DKIM comes from the domain's email settings when the API exposes it
+  async fetchEmailDKIM(domainId) {
+    let settings;
+    try {
+      const result = await this.makeRequest(path`/v1/domains/${domainId}/email/dkim`);
+      settings = result.data || result;
+    } catch {
+      return null;
+    }
+    const content = settings.value || settings.content || settings.record;
+    if (!settings.selector || !content) {
+      return null;
+    }
+    return { type: String(settings.type || "TXT").toUpperCase(), name: `${settings.selector}._domainkey`, content };
+  }
+
+  async computeEmailDNS({ domain_id, dmarc_policy, dmarc_report_email }) {
+    const [records, dkim] = await Promise.all([this.fetchDNSRecords(domain_id), this.fetchEmailDKIM(domain_id)]);
+    return planEmailDNS(records, { dmarcPolicy: dmarc_policy, dmarcReportEmail: dmarc_report_email, dkim });
+  }
+
+  async checkEmailDNS(args) {
+    const { checks } = await this.computeEmailDNS(args);
+    const passed = checks.filter((check) => check.status === "pass").length;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Created email account: ${JSON.stringify(result, null, 2)}`
-        }
-      ]
+      title: `Email DNS for domain ${args.domain_id}`,
+      message: `${passed} of ${checks.length} checks passed.` +
+        (passed < checks.length ? " configure_email_dns can fix the failures." : ""),
+      data: checks,
+      columns: EMAIL_DNS_CHECK_COLUMNS
     };
   }
 
-  async deleteEmailAccount(domainId, email) {
-    await this.makeRequest(`/v1/domains/${domainId}/email/${email}`, "DELETE");
+  async configureEmailDNS(args) {
+    const { domain_id } = args;
+    const { checks, steps } = await this.computeEmailDNS(args);
+    if (steps.length === 0) {
+      return {
+        title: `Email DNS for domain ${domain_id} is already configured`,
+        data: checks,
+        columns: EMAIL_DNS_CHECK_COLUMNS
+      };
+    }
+
+    const { results, failed } = await this.runDNSSteps(domain_id, steps);
+    const applied = results.filter((result) => result.status === "applied").length;
+    const summary = `${applied} of ${results.length} changes applied.`;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Successfully deleted email account ${email}`
-        }
-      ]
+      title: failed
+        ? `Email DNS setup for domain ${domain_id} stopped at step ${failed.step}`
+        : `Configured email DNS for domain ${domain_id}`,
+      message: failed ? `${summary} ${describeFailedStep(failed)}` : `${summary} Run check_email_dns to verify.`,
+      data: results,
+      columns: [...DNS_PLAN_COLUMNS, ["Reason", "reason"], ["Result", "status"], ["Error", "error"]]
+    };
+  }
+
+  // SSL methods
+  async listSSLCertificates(domainId, accountId, args = {}) {
+    let endpoint = "/v1/ssl";
+    if (domainId) {
+      endpoint = path`/v1/domains/${domainId}/ssl`;
+    } else if (accountId) {
+      endpoint = path`/v1/hosting/${accountId}/ssl`;
+    }
+
+    const list = await this.fetchList(endpoint, args);
+    return this.listResult("SSL certificates", SSL_COLUMNS, "ssl", list, args);
+  }
+
+  async getSSLCertificate(certificateId) {
+    const result = await this.makeRequest(path`/v1/ssl/${certificateId}`);
+    return { title: "SSL certificate details", data: result, columns: SSL_COLUMNS };
+  }
+
+  async createSSLCertificate(data) {
+    const { domain_id, ...certificateData } = data;
+    const result = await this.makeRequest(path`/v1/domains/${domain_id}/ssl`, "POST", certificateData);
+    return { title: "Ordered SSL certificate", data: result, columns: SSL_COLUMNS };
+  }
+
+  async listExpiringSSLCertificates(days = 30) {
+    const { items } = await this.fetchList("/v1/ssl", { all: true });
+    const expiring = items
+      .map((certificate) => ({ certificate, expiry: getCertificateExpiry(certificate) }))
+      .filter(({ expiry }) => expiry && daysUntil(expiry) <= days)
+      .sort((a, b) => a.expiry - b.expiry)
+      .map(({ certificate, expiry }) => ({
+        ...certificate,
+        days_until_expiry: daysUntil(expiry)
+      }));
+
+    return {
+      title: `SSL certificates expiring within ${days} days`,
+      data: expiring,
+      columns: [...SSL_COLUMNS, ["Days left", "days_until_expiry"]]
     };
   }
 
+  // Backup methods
+  backupEndpoint(resourceType, resourceId) {
+    if (resourceType === "vps") {
+      return path`/v1/vps/${resourceId}/backups`;
+    }
+    if (resourceType === "hosting") {
+      return path`/v1/hosting/${resourceId}/backups`;
+    }
+    throw new Error(`Unknown backup resource type: ${resourceType}`);
+  }
+
+  async listBackups(resourceType, resourceId, args = {}) {
+    const list = await this.fetchList(this.backupEndpoint(resourceType, resourceId), args);
+    return this.listResult("Backups", BACKUP_COLUMNS, "backups", list, args);
+  }
+
+  async createBackup(resourceType, resourceId) {
+    const result = await this.makeRequest(this.backupEndpoint(resourceType, resourceId), "POST");
+    return { title: "Backup created", data: result, columns: BACKUP_COLUMNS };
+  }
+
+  async restoreBackup(data) {
+    const { resource_type, resource_id, backup_id } = data;
+    const endpoint = `${this.backupEndpoint(resource_type, resource_id)}${path`/${backup_id}/restore`}`;
+    const result = await this.makeRequest(endpoint, "POST");
+    return { title: `Restore from backup ${backup_id} started`, data: result };
+  }
+
   // Account methods
   async getAccountInfo() {
     const result = await this.makeRequest("/v1/account");
+    return { title: "Account information", data: result };
+  }
+
+  // Billing methods
+  async getInvoices(args = {}) {
+    const { from, to, status, ...listArgs } = args;
+    const list = await this.fetchList("/v1/billing/invoices", listArgs, { from, to, status });
+    return this.listResult("Invoices", INVOICE_COLUMNS, "invoices", list, listArgs);
+  }
+
+  async getInvoice(invoiceId) {
+    const result = await this.makeRequest(path`/v1/billing/invoices/${invoiceId}`);
+    return { title: "Invoice details", data: result, columns: INVOICE_COLUMNS };
+  }
+
+  async fetchActiveSubscriptions(args = { all: true }) {
+    const list = await this.fetchList("/v1/billing/subscriptions", args);
+    return { ...list, items: list.items.filter((subscription) => !subscription.status || subscription.status === "active") };
+  }
+
+  async listSubscriptions(args = {}) {
+    const list = await this.fetchActiveSubscriptions(args);
+    return this.listResult("Active subscriptions", SUBSCRIPTION_COLUMNS, "subscriptions", list, args);
+  }
+
+  async getRenewalSummary(days = 30) {
+    const { items: subscriptions } = await this.fetchActiveSubscriptions();
+    const renewing = subscriptions
+      .map((subscription) => ({ subscription, renewal: getRenewalDate(subscription) }))
+      .filter(({ renewal }) => renewal && daysUntil(renewal) >= 0 && daysUntil(renewal) <= days)
+      .sort((a, b) => a.renewal - b.renewal)
+      .map(({ subscription }) => subscription);
+
+    const totals = {};
+    for (const subscription of renewing) {
+      const currency = subscription.currency || "USD";
+      totals[currency] = Math.round(((totals[currency] || 0) + getPrice(subscription)) * 100) / 100;
+    }
+
+    const totalText = Object.entries(totals)
+      .map(([currency, amount]) => `${amount.toFixed(2)} ${currency}`)
+      .join(", ") || "0.00";
+
     return {
-      content: [
-        {
-          type: "text",
-          text: `Account information: ${JSON.stringify(result, null, 2)}`
+      title: `Renewals in the next ${days} days`,
+      message: `Total: ${totalText}`,
+      data: renewing,
+      columns: SUBSCRIPTION_COLUMNS,
+      meta: { days, totals }
+    };
+  }
+
+  // Usage monitoring
+
+  startUsageMonitor() {
+    const { intervalMs, webhooks } = this.monitorPolicy;
+    if (intervalMs <= 0) {
+      return;
+    }
+    console.error(`Usage monitor polling every ${intervalMs}ms, alerting ${webhooks.length} webhook(s)`);
+    const poll = () => {
+      this.pollUsage().catch((error) => console.error("Usage monitor poll failed:", error.message));
+    };
+    this.usageMonitor = setInterval(poll, intervalMs);
+    this.usageMonitor.unref();
+    poll();
+  }
+
+  // One pass over every VPS and hosting account of every profile. Requests run one
+  // at a time so the monitor never competes with interactive calls for rate limit.
+  async pollUsage() {
+    if (this.pollingUsage) {
+      return;
+    }
+    this.pollingUsage = true;
+    try {
+      for (const profile of this.profiles.values()) {
+        await this.requestContext.run({ profile, tool: "usage_monitor", fresh: true }, async () => {
+          const sources = [
+            ["vps", () => this.listVPS({ all: true }), (id) => this.getVPSUsage(id, "1h")],
+            ["hosting", () => this.listHostingAccounts({ all: true }), (id) => this.getHostingUsage(id)]
+          ];
+          for (const [type, listItems, getUsage] of sources) {
+            let items;
+            try {
+              items = toList((await listItems()).data);
+            } catch (error) {
+              console.error(`Usage monitor could not list ${type} for ${profile.name}:`, this.redactSecrets(error.message));
+              continue;
+            }
+            for (const item of items) {
+              try {
+                const metrics = extractUsageMetrics((await getUsage(item.id)).data);
+                const resource = { account: profile.name, type, id: String(item.id), name: item.hostname || item.domain || item.name };
+                this.recordUsage(resource, metrics);
+              } catch (error) {
+                console.error(`Usage monitor could not read ${type} ${item.id}:`, this.redactSecrets(error.message));
+              }
+            }
+          }
+        });
+      }
+    } finally {
+      this.pollingUsage = false;
+    }
+  }
+
+  recordUsage(resource, metrics) {
+    const now = Date.now();
+    const key = `${resource.account}:${resource.type}:${resource.id}`;
+    const cutoff = now - this.monitorPolicy.historyMs;
+    const samples = (this.usageHistory.get(key) || []).filter((sample) => sample.time >= cutoff);
+    samples.push({ time: now, timestamp: new Date(now).toISOString(), ...metrics });
+    this.usageHistory.set(key, samples);
+
+    for (const [metric, threshold] of Object.entries(this.monitorPolicy.thresholds)) {
+      const value = metrics[metric];
+      if (value !== undefined) {
+        this.evaluateAlert(key, resource, metric, value, threshold);
+      }
+    }
+
+    this.alerts = this.alerts.filter((alert) => alert.status === "active" || Date.parse(alert.resolved_at) >= cutoff);
+  }
+
+  // An alert is sent once when a metric reaches its threshold and once more when it
+  // falls back below it by the recovery margin; readings in between only update the value
+  evaluateAlert(resourceKey, resource, metric, value, threshold) {
+    const key = `${resourceKey}:${metric}`;
+    const active = this.alerts.find((alert) => alert.key === key && alert.status === "active");
+
+    if (active) {
+      active.value = value;
+      if (value < threshold - this.monitorPolicy.recoveryMargin) {
+        Object.assign(active, { status: "resolved", resolved_at: new Date().toISOString() });
+        this.sendAlertWebhooks("alert.resolved", active);
+      }
+    } else if (value >= threshold) {
+      const alert = {
+        key,
+        status: "active",
+        account: resource.account,
+        resource_type: resource.type,
+        resource_id: resource.id,
+        resource_name: resource.name,
+        metric,
+        value,
+        threshold,
+        started_at: new Date().toISOString(),
+        resolved_at: null
+      };
+      this.alerts.push(alert);
+      this.sendAlertWebhooks("alert.triggered", alert);
+    }
+  }
+
+  sendAlertWebhooks(event, { key, ...alert }) {
+    const body = JSON.stringify({ event, alert, sent_at: new Date().toISOString() });
+    for (const url of this.monitorPolicy.webhooks) {
+      fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        signal: AbortSignal.timeout(10000)
+      })
+        .then((response) => {
+          if (!response.ok) {
+            console.error(`Alert webhook ${url} returned HTTP ${response.status}`);
+          }
+        })
+        .catch((error) => console.error(`Alert webhook ${url} failed:`, error.message));
+    }
+  }
+
+  monitorDisabledMessage() {
+    return this.monitorPolicy.intervalMs > 0
+      ? undefined
+      : "Usage monitoring is off; set HOSTINGER_MONITOR_INTERVAL_MS to enable it.";
+  }
+
+  listAlerts(status = "active") {
+    const alerts = this.alerts
+      .filter((alert) => status === "all" || alert.status === status)
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .map(({ key, ...alert }) => alert);
+    return {
+      title: `Usage alerts (${status})`,
+      message: this.monitorDisabledMessage(),
+      data: alerts,
+      columns: ALERT_COLUMNS
+    };
+  }
+
+  getUsageHistory(resourceType, resourceId, hours) {
+    const key = `${this.currentProfile().name}:${resourceType}:${resourceId}`;
+    const since = hours ? Date.now() - hours * 60 * 60 * 1000 : 0;
+    const samples = (this.usageHistory.get(key) || []).filter((sample) => sample.time >= since);
+
+    // Trend per metric: first and last reading with the range in between
+    const trends = [];
+    for (const metric of Object.keys(USAGE_METRICS)) {
+      const values = samples.map((sample) => sample[metric]).filter((value) => value !== undefined);
+      if (values.length > 0) {
+        const change = Math.round((values[values.length - 1] - values[0]) * 10) / 10;
+        trends.push({
+          metric,
+          first: values[0],
+          last: values[values.length - 1],
+          min: Math.min(...values),
+          max: Math.max(...values),
+          change
+        });
+      }
+    }
+
+    const period = samples.length > 0 ? `${samples[0].timestamp} to ${samples[samples.length - 1].timestamp}` : "no samples yet";
+    const trendText = trends.map(({ metric, first, last, min, max, change }) =>
+      `${metric}: ${first}% -> ${last}% (${change >= 0 ? "+" : ""}${change}, range ${min}-${max}%)`);
+    return {
+      title: `Usage history for ${resourceType} ${resourceId}`,
+      message: [this.monitorDisabledMessage(), `${samples.length} samples, ${period}`, ...trendText].filter(Boolean).join("\n"),
+      data: samples.map(({ time, ...sample }) => sample),
+      columns: USAGE_HISTORY_COLUMNS,
+      meta: { trends }
+    };
+  }
+
+  // Batch operations
+
+  // Each operation goes through handleCallTool with the batch caller's identity, so
+  // validation, token scopes, dry runs and confirmation work as they do for single calls.
+  // Concurrency is capped by HOSTINGER_BATCH_MAX_CONCURRENCY to stay under upstream rate limits.
+  async runBatch({ operations, concurrency = 1, on_error = "stop" }) {
+    const { maxOperations, maxConcurrency } = this.batchPolicy;
+    if (operations.length === 0) {
+      throw new Error("operations must contain at least one operation");
+    }
+    if (operations.length > maxOperations) {
+      throw new Error(`A batch can run at most ${maxOperations} operations, got ${operations.length}`);
+    }
+    operations.forEach((operation, index) => {
+      if (typeof operation.tool !== "string" || !operation.tool) {
+        throw new Error(`operations[${index}].tool must be a tool name`);
+      }
+      if (operation.tool === "batch") {
+        throw new Error(`operations[${index}]: batches cannot be nested`);
+      }
+      if (operation.arguments !== undefined && !JSON_SCHEMA_TYPES.object(operation.arguments)) {
+        throw new Error(`operations[${index}].arguments must be an object`);
+      }
+      const unknown = Object.keys(operation).filter((key) => key !== "tool" && key !== "arguments");
+      if (unknown.length > 0) {
+        throw new Error(`operations[${index}] has unknown fields: ${unknown.join(", ")}`);
+      }
+    });
+
+    const { caller, transport, signal, reportProgress } = this.requestContext.getStore();
+    const results = operations.map((operation, index) => ({ index: index + 1, tool: operation.tool, status: "skipped" }));
+    let next = 0;
+    let completed = 0;
+    let stopped = false;
+
+    // Operations share the batch's progress token, and each one's own progress would start
+    // over from zero, so the batch reports finished operations out of the total instead
+    const worker = async () => {
+      while (!stopped && next < operations.length) {
+        const index = next++;
+        const { tool, arguments: toolArgs = {} } = operations[index];
+        const response = await this.handleCallTool(
+          { name: tool, arguments: toolArgs },
+          { caller, transport, signal }
+        );
+        reportProgress(++completed, operations.length);
+        const text = response.content[0].text;
+        if (response.isError) {
+          Object.assign(results[index], { status: "error", summary: text.replace(/^Error: /, "").replace(/\s*\n\s*/g, " ") });
+          stopped = on_error === "stop";
+        } else {
+          // A dry run's second line tells the caller how to apply it, confirm token included
+          const lines = text.split("\n").slice(0, toolArgs.dry_run ? 2 : 1);
+          Object.assign(results[index], { status: "ok", summary: lines.join(". "), result: response.structuredContent });
         }
-      ]
+      }
+    };
+    const workers = Math.max(1, Math.min(concurrency, maxConcurrency, operations.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    return {
+      title: `Batch of ${operations.length} operations`,
+      message: `${count("ok")} succeeded, ${count("error")} failed, ${count("skipped")} skipped.`,
+      data: results,
+      columns: BATCH_COLUMNS
     };
   }
 
@@ -726,6 +4945,7 @@ class HostingerMCPServer {
     } else {
       // HTTP mode is handled by Express server setup
       console.error("Hostinger MCP server running in HTTP mode");
+      this.startUsageMonitor();
     }
   }
 }